@@ -17,10 +17,21 @@ const files = [
     // Core (always required)
     'src/core.js',
     'src/features/html-controller.js',
+    'src/features/http.js',
 
     // Infrastructure
     'src/features/rate-limiter.js',
+    'src/features/auth.js',
+    'src/features/scheduler.js',
+    'src/features/batch.js',
+    'src/features/retry.js',
     'src/features/state.js',
+    'src/features/polling.js',
+    'src/features/cache.js',
+    'src/features/morph.js',
+    'src/features/transitions.js',
+    'src/features/actions.js',
+    'src/features/observer.js',
 
     // Binders
     'src/features/html.js',
@@ -29,9 +40,13 @@ const files = [
     'src/features/filter.js',
     'src/features/sort.js',
     'src/features/button.js',
+    'src/features/infinite.js',
     'src/features/toggle.js',
     'src/features/data.js',
+    'src/features/sse.js',
+    'src/features/broadcast.js',
     'src/features/pagination.js',
+    'src/features/prefetch.js',
     'src/features/quick-search.js',
     'src/features/cascade.js',
     'src/features/confirm.js',
@@ -47,6 +62,12 @@ const files = [
     // 'src/features/bulk-actions.js',
 ];
 
+// Test helpers (LiveBlade.testing) are built separately into dist/liveblade.testing.js
+// so they never ship in the production bundle
+const testingFiles = [
+    'src/features/testing.js',
+];
+
 const cssfiles = [
     'src/liveblade.css',
 ]
@@ -111,6 +132,25 @@ try {
     console.log('\n⚠ Run "npm install terser" for minification');
 }
 
+// ===========================================
+// TESTING BUILD (load after liveblade.js in tests)
+// ===========================================
+let testingOutput = `/*!
+ * LiveBlade v${version} - Testing helpers
+ * Load after liveblade.js; not meant for production
+ * @license MIT
+ */
+
+`;
+testingFiles.forEach(file => {
+    const filePath = path.join(__dirname, file);
+    if (fs.existsSync(filePath)) {
+        testingOutput += fs.readFileSync(filePath, 'utf8') + '\n';
+    }
+});
+fs.writeFileSync(path.join(distDir, 'liveblade.testing.js'), testingOutput);
+console.log(`→ dist/liveblade.testing.js (${(testingOutput.length / 1024).toFixed(1)}KB)`);
+
 
 
 // ===========================================
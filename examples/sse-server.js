@@ -0,0 +1,98 @@
+/**
+ * LiveBlade SSE stand-in server
+ * A plain Node event stream to develop data-lb-sse against without Laravel
+ *
+ * Usage:
+ *   npm run sse                  # or: node examples/sse-server.js
+ *   PORT=3002 INTERVAL=500 npm run sse
+ *
+ *   <span id="order-count">0</span>
+ *   <tbody id="orders" data-lb="/orders" data-lb-sse="/stream/orders" data-lb-sse-event="OrderCreated"></tbody>
+ *
+ * Point your dev proxy at it so the stream is same-origin, e.g. with Vite:
+ *   server: { proxy: { '/stream': 'http://localhost:3001' } }
+ *
+ * Every INTERVAL ms an OrderCreated event with an id is sent to all clients.
+ * A client that comes back with Last-Event-ID (the header the browser sends
+ * when it reconnects on its own) or ?lastEventId= (what LiveBlade sends when
+ * it opens a new EventSource after the browser gave up) first gets the events
+ * it missed, like a Laravel stream would replay them from a log.
+ *
+ * Endpoints:
+ *   GET  /stream/:name  - The event stream
+ *   POST /emit          - Send the request body (JSON) as the next event's data
+ */
+
+const http = require('http');
+
+const port = Number(process.env.PORT) || 3001;
+const interval = Number(process.env.INTERVAL) || 2000;
+const keep = 100;
+
+const clients = new Set();
+const history = [];
+let lastId = 0;
+
+function format(event) {
+    return `id: ${event.id}\nevent: ${event.name}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function broadcast(name, data) {
+    const event = { id: ++lastId, name, data };
+    history.push(event);
+    if (history.length > keep) history.shift();
+    clients.forEach((res) => res.write(format(event)));
+}
+
+function stream(req, res, url) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': req.headers.origin || '*'
+    });
+
+    // Reconnect delay the browser should use
+    res.write('retry: 3000\n\n');
+
+    const since = Number(req.headers['last-event-id'] || url.searchParams.get('lastEventId') || 0);
+    if (since) history.filter((event) => event.id > since).forEach((event) => res.write(format(event)));
+
+    clients.add(res);
+    console.log(`+ client ${url.pathname} (since ${since || 'start'}), ${clients.size} connected`);
+
+    req.on('close', () => {
+        clients.delete(res);
+        console.log(`- client, ${clients.size} connected`);
+    });
+}
+
+function emit(req, res) {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        try {
+            broadcast('OrderCreated', body ? JSON.parse(body) : {});
+            res.writeHead(204);
+        } catch {
+            res.writeHead(400);
+        }
+        res.end();
+    });
+}
+
+http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    if (req.method === 'GET' && url.pathname.startsWith('/stream/')) return stream(req, res, url);
+    if (req.method === 'POST' && url.pathname === '/emit') return emit(req, res);
+
+    res.writeHead(404);
+    res.end();
+}).listen(port, () => {
+    console.log(`LiveBlade SSE stand-in on http://localhost:${port}/stream/orders`);
+});
+
+setInterval(() => {
+    broadcast('OrderCreated', { oob: [{ target: '#order-count', html: String(lastId + 1) }] });
+}, interval);
@@ -0,0 +1,141 @@
+<?php
+
+namespace App\Helpers;
+
+use Illuminate\Contracts\Support\Responsable;
+use Illuminate\Http\JsonResponse;
+
+/**
+ * LiveBlade Actions Builder
+ *
+ * Builds an ordered "actions" response. Steps run one after another in the
+ * browser, each waiting for the previous animation or refresh to finish.
+ *
+ * Usage in Controller (with the LiveBladeResponse trait):
+ *   return $this->lb()
+ *       ->replace('#order-' . $order->id, $html)
+ *       ->refresh('#totals')
+ *       ->close('#edit-modal')
+ *       ->toast('Order updated!')
+ *       ->dispatch('order:updated', ['id' => $order->id]);
+ */
+class LiveBladeActions implements Responsable
+{
+    protected array $actions = [];
+
+    protected ?string $message = null;
+
+    protected ?string $html = null;
+
+    /**
+     * Add a step of any type (including custom types registered in JS)
+     */
+    public function action(string $type, array $params = []): static
+    {
+        $this->actions[] = array_merge(['type' => $type], array_filter($params, fn ($value) => $value !== null));
+
+        return $this;
+    }
+
+    public function prepend(string $target, string $html, ?int $fade = null): static
+    {
+        return $this->action('prepend', ['target' => $target, 'html' => $html, 'fade' => $fade]);
+    }
+
+    public function append(string $target, string $html, ?int $fade = null): static
+    {
+        return $this->action('append', ['target' => $target, 'html' => $html, 'fade' => $fade]);
+    }
+
+    public function replace(string $target, string $html, ?int $fade = null): static
+    {
+        return $this->action('replace', ['target' => $target, 'html' => $html, 'fade' => $fade]);
+    }
+
+    public function remove(string $target): static
+    {
+        return $this->action('remove', ['target' => $target]);
+    }
+
+    /**
+     * Refresh container(s), comma-separated selectors allowed
+     */
+    public function refresh(string $targets): static
+    {
+        return $this->action('refresh', ['target' => $targets]);
+    }
+
+    public function redirect(string $url): static
+    {
+        return $this->action('redirect', ['redirect' => $url]);
+    }
+
+    public function close(string $modal): static
+    {
+        return $this->action('close', ['target' => $modal]);
+    }
+
+    public function reset(string $form): static
+    {
+        return $this->action('reset', ['target' => $form]);
+    }
+
+    /**
+     * Show a toast (success, error, warning, info)
+     */
+    public function toast(string $message, string $level = 'success'): static
+    {
+        return $this->action('toast', ['message' => $message, 'level' => $level]);
+    }
+
+    /**
+     * Drop cached container responses whose URL starts with $pattern (* wildcards allowed), or all
+     */
+    public function invalidate(?string $pattern = null): static
+    {
+        return $this->action('invalidate', ['pattern' => $pattern]);
+    }
+
+    /**
+     * Dispatch a DOM event (on document, or on $target)
+     */
+    public function dispatch(string $name, array $detail = [], ?string $target = null): static
+    {
+        return $this->action('event', ['name' => $name, 'detail' => $detail, 'target' => $target]);
+    }
+
+    /**
+     * Default html for steps that don't carry their own
+     */
+    public function html(string $html): static
+    {
+        $this->html = $html;
+
+        return $this;
+    }
+
+    /**
+     * Message shown by the binder after all steps ran
+     */
+    public function message(string $message): static
+    {
+        $this->message = $message;
+
+        return $this;
+    }
+
+    public function toArray(): array
+    {
+        return array_filter([
+            'success' => true,
+            'message' => $this->message,
+            'html' => $this->html,
+            'actions' => $this->actions,
+        ], fn ($value) => $value !== null);
+    }
+
+    public function toResponse($request): JsonResponse
+    {
+        return response()->json($this->toArray());
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Contracts\Http\Kernel;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * LiveBlade Batch Controller
+ *
+ * Answers batched container refreshes (config.batchUrl) by dispatching every
+ * listed URL as a GET sub-request through the HTTP kernel, so routes,
+ * middleware and policies apply exactly as for a regular refresh.
+ *
+ * Usage in routes/web.php:
+ *   use App\Http\Controllers\LiveBladeBatchController;
+ *
+ *   Route::post('/liveblade/batch', LiveBladeBatchController::class)->middleware('auth');
+ *
+ * And in the layout:
+ *   LiveBlade.configure({ batchUrl: '/liveblade/batch' });
+ *
+ * Request:  { "requests": [{ "id": "ctrl_1", "url": "/orders?page=2" }, ...] }
+ * Response: { "responses": { "ctrl_1": { "status": 200, "data": { "html": "..." } }, ... } }
+ */
+class LiveBladeBatchController
+{
+    /**
+     * Maximum number of sub-requests per batch; keep in sync with the
+     * client's config.batchSize, which splits larger refreshes
+     */
+    protected int $maxRequests = 20;
+
+    /**
+     * Request headers passed on to every sub-request
+     */
+    protected array $forwardHeaders = [
+        'X-Requested-With',
+        'X-LiveBlade',
+        'X-CSRF-TOKEN',
+        'Accept-Language',
+    ];
+
+    /**
+     * Server variables passed on to every sub-request; the rest (CONTENT_TYPE,
+     * CONTENT_LENGTH, ...) describe the batch POST, not a GET sub-request
+     */
+    protected array $forwardServer = [
+        'HTTP_HOST',
+        'SERVER_NAME',
+        'SERVER_PORT',
+        'HTTPS',
+        'REMOTE_ADDR',
+        'HTTP_USER_AGENT',
+        'HTTP_REFERER',
+        'HTTP_X_FORWARDED_FOR',
+        'HTTP_X_FORWARDED_HOST',
+        'HTTP_X_FORWARDED_PORT',
+        'HTTP_X_FORWARDED_PROTO',
+    ];
+
+    public function __invoke(Request $request, Kernel $kernel): JsonResponse
+    {
+        $validated = $request->validate([
+            'requests' => ['required', 'array', 'max:' . $this->maxRequests],
+            'requests.*.id' => ['required', 'string', 'max:100'],
+            'requests.*.url' => ['required', 'string', 'max:2048'],
+        ]);
+
+        $responses = [];
+
+        foreach ($validated['requests'] as $item) {
+            $responses[$item['id']] = $this->dispatch($request, $kernel, $item['url']);
+        }
+
+        return response()->json(['responses' => $responses]);
+    }
+
+    /**
+     * Run one sub-request and describe its result
+     */
+    protected function dispatch(Request $request, Kernel $kernel, string $url): array
+    {
+        // Only paths on this application, never absolute or protocol-relative URLs
+        if (!str_starts_with($url, '/') || str_starts_with($url, '//')) {
+            return ['status' => Response::HTTP_BAD_REQUEST, 'data' => null];
+        }
+
+        // The sub-request runs through EncryptCookies and StartSession again, so it
+        // needs the cookies as the browser sent them: by now $request->cookies is
+        // decrypted, would fail to decrypt a second time and lose the session
+        $server = array_intersect_key($request->server->all(), array_flip($this->forwardServer));
+        $subRequest = Request::create($url, 'GET', [], $this->rawCookies($request), [], $server);
+
+        foreach ($this->forwardHeaders as $header) {
+            if ($request->headers->has($header)) {
+                $subRequest->headers->set($header, $request->headers->get($header));
+            }
+        }
+        $subRequest->headers->set('Accept', 'application/json, text/html');
+
+        try {
+            $response = $kernel->handle($subRequest);
+        } finally {
+            // Sub-requests rebind the current request; put the batch request back
+            app()->instance('request', $request);
+        }
+
+        return [
+            'status' => $response->getStatusCode(),
+            'data' => $response->isSuccessful() ? $this->decode($response) : null,
+        ];
+    }
+
+    /**
+     * Cookies from the Cookie header, still encrypted
+     */
+    protected function rawCookies(Request $request): array
+    {
+        $cookies = [];
+
+        foreach (explode(';', (string) $request->headers->get('Cookie')) as $pair) {
+            [$name, $value] = array_pad(explode('=', trim($pair), 2), 2, '');
+
+            if ($name !== '') {
+                $cookies[urldecode($name)] = urldecode($value);
+            }
+        }
+
+        return $cookies;
+    }
+
+    protected function decode(Response $response): array
+    {
+        $content = (string) $response->getContent();
+
+        if (str_contains((string) $response->headers->get('Content-Type'), 'application/json')) {
+            $data = json_decode($content, true);
+
+            return is_array($data) ? $data : [];
+        }
+
+        return ['html' => $content, 'has_more' => false];
+    }
+}
@@ -2,7 +2,10 @@
 
 namespace App\Traits;
 
+use App\Helpers\LiveBladeActions;
 use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response as SymfonyResponse;
 
 /**
  * LiveBlade Response Trait
@@ -27,6 +30,16 @@ use Illuminate\Http\JsonResponse;
  */
 trait LiveBladeResponse
 {
+    /**
+     * Start an ordered action list
+     *
+     *   return $this->lb()->replace('#order-1', $html)->refresh('#totals')->toast('Saved!');
+     */
+    protected function lb(): LiveBladeActions
+    {
+        return new LiveBladeActions();
+    }
+
     /**
      * Prepend HTML to target
      */
@@ -137,6 +150,70 @@ trait LiveBladeResponse
         ]);
     }
 
+    /**
+     * Container response with optional out-of-band updates
+     *
+     *   return $this->lbHtml($html, [
+     *       $this->lbOob('#orders-count', $count),
+     *       $this->lbOob('#sidebar-summary', $summary, 'outerHTML'),
+     *   ]);
+     */
+    protected function lbHtml(string $html, array $oob = [], bool $hasMore = false): JsonResponse
+    {
+        return response()->json(array_filter([
+            'html' => $html,
+            'has_more' => $hasMore,
+            'oob' => $oob,
+        ], fn ($value) => $value !== []));
+    }
+
+    /**
+     * Out-of-band entry for lbHtml()
+     */
+    protected function lbOob(string $target, string $html, string $swap = 'innerHTML'): array
+    {
+        return [
+            'target' => $target,
+            'html' => $html,
+            'swap' => $swap,
+        ];
+    }
+
+    /**
+     * Conditional container/data response for polling (data-lb-interval)
+     * Answers 304 Not Modified when the client already has this version.
+     *
+     *   // Cheap validator: the view is only rendered when something changed
+     *   return $this->lbConditional($request, fn () => $this->lbHtml($html()), lastModified: Order::max('updated_at'));
+     *
+     *   // No validator given: the ETag is a hash of the rendered response
+     *   return $this->lbConditional($request, $this->lbHtml($html));
+     */
+    protected function lbConditional(Request $request, callable|SymfonyResponse $response, ?string $etag = null, \DateTimeInterface|string|null $lastModified = null): SymfonyResponse
+    {
+        if (is_string($lastModified)) {
+            $lastModified = new \DateTimeImmutable($lastModified);
+        }
+
+        if ($etag !== null || $lastModified !== null) {
+            $probe = new SymfonyResponse();
+            $probe->setEtag($etag);
+            $probe->setLastModified($lastModified);
+
+            if ($probe->isNotModified($request)) {
+                return $probe;
+            }
+        }
+
+        $response = $response instanceof SymfonyResponse ? $response : $response();
+
+        $response->setEtag($etag ?? md5((string) $response->getContent()));
+        $response->setLastModified($lastModified);
+        $response->isNotModified($request);
+
+        return $response;
+    }
+
     /**
      * Return error response
      */
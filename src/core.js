@@ -104,6 +104,23 @@
         return u.pathname + u.search + (hash || "");
     }
 
+    /**
+     * Error for a non-2xx response, carrying its status and Retry-After (in ms)
+     * The retry policy (retry.js) only honours retryAfter on 429 and 503
+     */
+    function httpError(response) {
+        const err = new Error(`HTTP ${response.status}`);
+        err.status = response.status;
+        err.retryAfter = null;
+
+        const retryAfter = response.headers?.get("retry-after");
+        if (retryAfter) {
+            const ms = /^\d+$/.test(retryAfter.trim()) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+            if (!isNaN(ms)) err.retryAfter = Math.max(0, ms);
+        }
+        return err;
+    }
+
     /**
      * ============================================================
      * CORE LIVEBLADE OBJECT
@@ -119,6 +136,13 @@
             throttle: 100,
             retryDelay: 2000,
             maxRetries: 3,
+            retry: {},
+
+            transport: null,
+            csrfRefreshUrl: null,
+            sessionExpiredMessage: "Your session has expired. Reload the page to continue.",
+            loginUrl: "/login",
+            loginModal: null,
             requestTimeout: 30000,
 
             skeletonHTML: null,
@@ -128,13 +152,47 @@
 
             updateUrl: false,
             updateUrlMode: "push",
+            historyUrl: "controller",
+            urlPrefixFormat: "bracket",
 
             preserveScroll: true,
             preserveInputs: true,
             preserveFocus: true,
 
             smartUpdate: true,
-            contentHashLength: 500
+            contentHashLength: 500,
+
+            swap: "innerHTML",
+            lazyMargin: "200px",
+
+            cache: false,
+            cacheTTL: 300000,
+            cacheMaxEntries: 50,
+            cacheStorage: "memory",
+
+            pollBackoff: 2,
+            pollMaxInterval: 300000,
+            pollJitter: 0.1,
+            pollWhenHidden: false,
+
+            sseReconnectDelay: 3000,
+            sseMaxReconnectDelay: 30000,
+
+            maxConcurrentRequests: 6,
+            sync: "replace",
+            batchUrl: null,
+            batchSize: 20,
+
+            prefetchDelay: 100,
+            prefetchTTL: 30000,
+
+            morphOwned: "[data-lb-rating]",
+
+            transition: false,
+            swappingDuration: 150,
+            settlingDuration: 200,
+
+            observe: false
         },
 
         csrf: null,
@@ -160,7 +218,8 @@
         debounce,
         throttle,
         parseUrl,
-        buildUrl
+        buildUrl,
+        httpError
     };
 
     /**
@@ -179,6 +238,23 @@
         return this.csrf;
     };
 
+    /**
+     * Install a new token: meta tag, hidden _token fields and later requests
+     */
+    LiveBlade.setCsrf = function (token) {
+        let meta = document.querySelector('meta[name="csrf-token"]');
+        if (!meta) {
+            meta = document.createElement("meta");
+            meta.name = "csrf-token";
+            document.head.appendChild(meta);
+        }
+        meta.content = token;
+        document.querySelectorAll('input[name="_token"]').forEach((input) => { input.value = token; });
+
+        this.csrf = token;
+        return this;
+    };
+
     /**
      * ============================================================
      * EVENT EMITTER
@@ -248,6 +324,10 @@
      * BINDER REGISTRY
      * ============================================================
      */
+    /**
+     * binder: { selector, bind(el, LiveBlade), sync?(el, LiveBlade), unbind?(el, LiveBlade) }
+     * unbind() releases what bind() set up outside the element (timers, window/document listeners)
+     */
     LiveBlade.registerBinder = function (name, binder) {
         if (this._binders[name]) {
             warn(`Binder "${name}" already registered.`);
@@ -285,13 +365,18 @@
         Object.entries(this._binders).forEach(([name, binder]) => {
             if (!binder.selector) return;
 
-            const elements = root.querySelectorAll(`${binder.selector}:not([data-lb-bound~="${name}"])`);
+            const query = `${binder.selector}:not([data-lb-bound~="${name}"])`;
+            const elements = Array.from(root.querySelectorAll(query));
+            if (root.matches?.(query)) elements.unshift(root);
+
             elements.forEach((el) => {
                 try {
                     binder.bind(el, this);
                     // Mark as bound for this binder
                     const bound = el.getAttribute("data-lb-bound") || "";
                     el.setAttribute("data-lb-bound", (bound + " " + name).trim());
+                    // Reflect params a deep link seeded; other controls keep their rendered state
+                    if (binder.sync && this.resolve(el)?.syncsFromUrl?.()) binder.sync(el, this);
                 } catch (e) {
                     error(`Binder "${name}" error:`, e);
                 }
@@ -301,6 +386,26 @@
         return this;
     };
 
+    /**
+     * Re-run binder sync() hooks, optionally only for controls of one controller
+     */
+    LiveBlade.sync = function (root = document, ctrl = null) {
+        Object.entries(this._binders).forEach(([name, binder]) => {
+            if (!binder.sync) return;
+
+            root.querySelectorAll(`[data-lb-bound~="${name}"]`).forEach((el) => {
+                if (ctrl && this.resolve(el) !== ctrl) return;
+                try {
+                    binder.sync(el, this);
+                } catch (e) {
+                    error(`Binder "${name}" sync error:`, e);
+                }
+            });
+        });
+
+        return this;
+    };
+
     /**
      * ============================================================
      * PUBLIC API
@@ -313,19 +418,36 @@
         } else if (selector instanceof HTMLElement) {
             const ctrl = LiveBlade.controllers.get(selector);
             if (ctrl) ctrl.refresh();
+        } else if (LiveBlade.batch?.enabled()) {
+            LiveBlade.batch.refresh(Array.from(LiveBlade.instances));
         } else {
             LiveBlade.instances.forEach((ctrl) => ctrl.refresh());
         }
         return this;
     };
 
+    /**
+     * Tear down everything bound in root (and root itself): binder unbind() hooks, controllers
+     */
     LiveBlade.cleanup = function (root = document) {
-        root.querySelectorAll("[data-lb-bound]").forEach((el) => {
+        const elements = Array.from(root.querySelectorAll("[data-lb-bound]"));
+        if (root.hasAttribute?.("data-lb-bound")) elements.unshift(root);
+
+        elements.forEach((el) => {
+            (el.getAttribute("data-lb-bound") || "").split(/\s+/).forEach((name) => {
+                const binder = this._binders[name];
+                if (!binder?.unbind) return;
+                try {
+                    binder.unbind(el, this);
+                } catch (e) {
+                    error(`Binder "${name}" unbind error:`, e);
+                }
+            });
+
             const ctrl = LiveBlade.controllers.get(el);
             if (ctrl?.dispose) ctrl.dispose();
             LiveBlade.controllers.delete(el);
             el.removeAttribute("data-lb-bound");
-            if (el._lbDataTimer) { clearInterval(el._lbDataTimer); delete el._lbDataTimer; }
         });
         return this;
     };
@@ -374,6 +496,9 @@
         // Bind all registered binders
         this.bind();
 
+        // Bind and clean up markup other scripts add or remove (observer.js)
+        if (this.config.observe) this.observer?.start();
+
         log("Initialized v" + VERSION);
         this.emit("init");
 
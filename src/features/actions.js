@@ -0,0 +1,733 @@
+/**
+ * LiveBlade Feature: Response Actions
+ * Shared engine for the server-driven `action` protocol (see php/Response.php)
+ *
+ * Usage:
+ *   // Run an action from a JSON response
+ *   LiveBlade.actions.run(data.action, { html: data.html, el: button, data });
+ *
+ *   // Register a custom action type
+ *   LiveBlade.actions.register('confetti', (action, context) => {
+ *       party.confetti(document.querySelector(action.target));
+ *   });
+ *
+ * Action Format:
+ *   {
+ *       "type": "replace",           // prepend, append, replace, remove, refresh, redirect, replace-multiple,
+ *                                    // remove-multiple, close, reset, toast, event, invalidate
+ *       "target": "#order-1",        // CSS selector
+ *       "html": "<tr>...</tr>",      // Optional, defaults to the response "html"
+ *       "redirect": "/orders",       // URL for redirect
+ *       "close": "#modal",           // Modal to close
+ *       "reset": "#form",            // Form to reset
+ *       "invalidate": "/orders",     // Drop cached responses (cache.js), true for all
+ *       "fade": 3000,                // Fade out after ms
+ *       "items": [...],              // For replace-multiple
+ *       "targets": [...]             // For remove-multiple
+ *   }
+ *
+ * Ordered Actions:
+ *   {
+ *       "success": true,
+ *       "html": "<tr>...</tr>",
+ *       "actions": [
+ *           { "type": "replace", "target": "#order-1" },
+ *           { "type": "refresh", "target": "#totals" },
+ *           { "type": "close", "target": "#edit-modal" },
+ *           { "type": "toast", "message": "Saved!", "level": "success" },
+ *           { "type": "event", "name": "order:updated", "detail": { "id": 1 } }
+ *       ]
+ *   }
+ *   Steps run in order; each waits for the previous step's animation or refresh.
+ *
+ * A list takes the place of the fallback action built from HTML attributes,
+ * except data-lb-close and data-lb-reset: those run after the list unless a
+ * step closed or reset already.
+ *
+ * Handlers receive (action, context) where context is { html, el, data, LiveBlade }
+ * and may return a promise to hold the next step.
+ * Used by forms, confirm, toggle, rating, inline-edit and bulk actions.
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    /**
+     * Reset a form
+     */
+    function resetForm(selector, LiveBlade) {
+        const form = document.querySelector(selector);
+        if (!form) {
+            console.warn('LiveBlade Actions: Reset target not found:', selector);
+            return;
+        }
+
+        // Reset the form
+        if (typeof form.reset === 'function') {
+            form.reset();
+        }
+
+        // Clear any validation errors (forms feature)
+        LiveBlade?.forms?.clearErrors(form);
+
+        // Clear any custom inputs (Select2, TomSelect, etc.)
+        // Select2
+        if (window.jQuery?.fn?.select2) {
+            try {
+                window.jQuery(form).find('select').trigger('change');
+            } catch (e) {}
+        }
+
+        // TomSelect
+        form.querySelectorAll('[data-ts-input]').forEach(el => {
+            if (el.tomselect) {
+                try {
+                    el.tomselect.clear();
+                } catch (e) {}
+            }
+        });
+
+        // Choices.js
+        form.querySelectorAll('[data-choice]').forEach(el => {
+            if (el.choices) {
+                try {
+                    el.choices.removeActiveItems();
+                } catch (e) {}
+            }
+        });
+
+        // Dispatch event
+        form.dispatchEvent(new CustomEvent('lb:form:reset', { bubbles: true }));
+    }
+
+    /**
+     * Resolve once the element's own CSS animation ends (or after a fallback delay)
+     */
+    function animationDone(element, fallback) {
+        return new Promise(resolve => {
+            const done = (e) => {
+                if (e && e.target !== element) return;
+                clearTimeout(timer);
+                element.removeEventListener('animationend', done);
+                resolve();
+            };
+            const timer = setTimeout(done, fallback);
+            element.addEventListener('animationend', done);
+        });
+    }
+
+    /**
+     * Prepend HTML to target
+     */
+    function prependHtml(selector, html, fade) {
+        const target = document.querySelector(selector);
+        if (!target) {
+            console.warn('LiveBlade Actions: Prepend target not found:', selector);
+            return;
+        }
+
+        // <template> keeps table rows intact (a <div> would drop <tr>)
+        const temp = document.createElement('template');
+        temp.innerHTML = html.trim();
+        const newElement = temp.content.firstElementChild;
+
+        if (newElement) {
+            // Add animation class
+            newElement.classList.add('lb-row-new');
+            target.insertBefore(newElement, target.firstChild);
+
+            // Remove animation class after animation completes
+            const settled = animationDone(newElement, 1000).then(() => {
+                newElement.classList.remove('lb-row-new');
+            });
+
+            // Optional fade out
+            if (fade) {
+                setTimeout(() => {
+                    fadeOutAndRemove(newElement);
+                }, fade);
+            }
+
+            // Re-bind LiveBlade on new content
+            if (window.LiveBlade && window.LiveBlade.bind) {
+                window.LiveBlade.bind(newElement);
+            }
+
+            return settled;
+        }
+    }
+
+    /**
+     * Append HTML to target
+     */
+    function appendHtml(selector, html, fade) {
+        const target = document.querySelector(selector);
+        if (!target) {
+            console.warn('LiveBlade Actions: Append target not found:', selector);
+            return;
+        }
+
+        const temp = document.createElement('template');
+        temp.innerHTML = html.trim();
+        const newElement = temp.content.firstElementChild;
+
+        if (newElement) {
+            // Add animation class
+            newElement.classList.add('lb-row-new');
+            target.appendChild(newElement);
+
+            // Remove animation class after animation completes
+            const settled = animationDone(newElement, 1000).then(() => {
+                newElement.classList.remove('lb-row-new');
+            });
+
+            // Optional fade out
+            if (fade) {
+                setTimeout(() => {
+                    fadeOutAndRemove(newElement);
+                }, fade);
+            }
+
+            // Re-bind LiveBlade on new content
+            if (window.LiveBlade && window.LiveBlade.bind) {
+                window.LiveBlade.bind(newElement);
+            }
+
+            return settled;
+        }
+    }
+
+    /**
+     * Replace element with new HTML
+     */
+    function replaceHtml(selector, html, fade) {
+        const target = document.querySelector(selector);
+        if (!target) {
+            console.warn('LiveBlade Actions: Replace target not found:', selector);
+            return;
+        }
+
+        const temp = document.createElement('template');
+        temp.innerHTML = html.trim();
+        const newElement = temp.content.firstElementChild;
+
+        if (newElement) {
+            // Add animation class
+            newElement.classList.add('lb-row-updated');
+            target.replaceWith(newElement);
+
+            // Remove animation class after animation completes
+            const settled = animationDone(newElement, 1000).then(() => {
+                newElement.classList.remove('lb-row-updated');
+            });
+
+            // Optional fade out
+            if (fade) {
+                setTimeout(() => {
+                    fadeOutAndRemove(newElement);
+                }, fade);
+            }
+
+            // Re-bind LiveBlade on new content
+            if (window.LiveBlade && window.LiveBlade.bind) {
+                window.LiveBlade.bind(newElement);
+            }
+
+            return settled;
+        }
+    }
+
+    /**
+     * Remove element with animation
+     */
+    function removeElement(selector) {
+        const target = document.querySelector(selector);
+        if (!target) {
+            console.warn('LiveBlade Actions: Remove target not found:', selector);
+            return;
+        }
+
+        return fadeOutAndRemove(target);
+    }
+
+    /**
+     * Fade out and remove element
+     */
+    function fadeOutAndRemove(element) {
+        element.classList.add('lb-row-removing');
+
+        // Fallback removal if animation doesn't fire
+        return animationDone(element, 500).then(() => {
+            if (element.parentNode) {
+                element.remove();
+            }
+        });
+    }
+
+    /**
+     * Refresh target containers
+     */
+    function refreshTargets(selectors, LiveBlade) {
+        const targets = selectors.split(',').map(s => s.trim());
+        const controllers = [...new Set(targets.map(selector => LiveBlade.getController(selector)).filter(Boolean))];
+
+        // Data just changed on the server, so skip any cached copy
+        if (LiveBlade.batch?.enabled()) return LiveBlade.batch.refresh(controllers, { cache: false });
+        return Promise.all(controllers.map(ctrl => ctrl.refresh({ cache: false })));
+    }
+
+    /**
+     * Open modal
+     * Supports: Bootstrap 5, Bootstrap 4, Flowbite, <dialog> (DaisyUI), Alpine.js, custom modals
+     */
+    function openModal(selector) {
+        const modal = document.querySelector(selector);
+        if (!modal) return;
+
+        if (window.bootstrap?.Modal?.getOrCreateInstance) {
+            window.bootstrap.Modal.getOrCreateInstance(modal).show();
+            return;
+        }
+
+        if (window.jQuery && typeof window.jQuery.fn.modal === 'function') {
+            window.jQuery(modal).modal('show');
+            return;
+        }
+
+        const flowbiteModal = window.FlowbiteInstances?.getModal?.(selector);
+        if (flowbiteModal) {
+            flowbiteModal.show();
+            return;
+        }
+
+        if (modal.tagName === 'DIALOG') {
+            if (!modal.open) modal.showModal();
+            return;
+        }
+
+        const alpineEl = modal.closest('[x-data]');
+        if (alpineEl && window.Alpine) {
+            modal.dispatchEvent(new CustomEvent('open-modal', { bubbles: true }));
+            try {
+                const data = window.Alpine.$data(alpineEl);
+                ['open', 'show', 'isOpen', 'showModal'].forEach(key => {
+                    if (data[key] !== undefined) data[key] = true;
+                });
+                return;
+            } catch (e) {
+                // Fall through
+            }
+        }
+
+        // Generic / Tailwind CSS
+        modal.classList.remove('hidden');
+        modal.classList.add('show');
+        modal.style.display = 'block';
+        modal.setAttribute('aria-hidden', 'false');
+        modal.setAttribute('aria-modal', 'true');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * Close modal
+     * Supports: Bootstrap 5, Bootstrap 4, Tailwind, DaisyUI, Flowbite, Alpine.js, custom modals
+     */
+    function closeModal(selector) {
+        const modal = document.querySelector(selector);
+        if (!modal) return;
+
+        // 1. Bootstrap 5 (vanilla JS) - check for getInstance method
+        if (window.bootstrap?.Modal?.getInstance) {
+            try {
+                const instance = window.bootstrap.Modal.getInstance(modal);
+                if (instance) {
+                    instance.hide();
+                    return;
+                }
+            } catch (e) {
+                // Fall through
+            }
+        }
+
+        // 2. Bootstrap 4 (jQuery) - check for jQuery modal plugin
+        if (window.jQuery && typeof window.jQuery.fn.modal === 'function') {
+            try {
+                window.jQuery(modal).modal('hide');
+                return;
+            } catch (e) {
+                // Fall through
+            }
+        }
+
+        // 3. Flowbite - check for Flowbite modal API
+        if (window.FlowbiteInstances?.getModal) {
+            try {
+                const flowbiteModal = window.FlowbiteInstances.getModal(selector);
+                if (flowbiteModal) {
+                    flowbiteModal.hide();
+                    return;
+                }
+            } catch (e) {
+                // Fall through
+            }
+        }
+
+        // 4. DaisyUI - uses checkbox or <dialog> element
+        if (modal.tagName === 'DIALOG') {
+            try {
+                modal.close();
+                return;
+            } catch (e) {
+                // Fall through
+            }
+        }
+
+        // DaisyUI checkbox toggle pattern
+        const daisyToggle = document.querySelector(`input[type="checkbox"]#${modal.id}-toggle, input[type="checkbox"][data-modal="${modal.id}"]`);
+        if (daisyToggle) {
+            daisyToggle.checked = false;
+            return;
+        }
+
+        // Also check for DaisyUI modal-toggle class
+        const modalToggle = document.querySelector(`.modal-toggle[id="${modal.id.replace('-modal', '')}"], .modal-toggle[data-target="${selector}"]`);
+        if (modalToggle && modalToggle.type === 'checkbox') {
+            modalToggle.checked = false;
+            return;
+        }
+
+        // 5. Alpine.js - dispatch event for Alpine to handle
+        if (modal.hasAttribute('x-data') || modal.closest('[x-data]')) {
+            // Try to set open/show to false via Alpine
+            modal.dispatchEvent(new CustomEvent('close-modal', { bubbles: true }));
+            // Also try standard Alpine approach
+            const alpineEl = modal.closest('[x-data]') || modal;
+            if (window.Alpine && alpineEl._x_dataStack) {
+                try {
+                    const data = window.Alpine.$data(alpineEl);
+                    if (data.open !== undefined) data.open = false;
+                    if (data.show !== undefined) data.show = false;
+                    if (data.isOpen !== undefined) data.isOpen = false;
+                    if (data.showModal !== undefined) data.showModal = false;
+                    return;
+                } catch (e) {
+                    // Fall through
+                }
+            }
+        }
+
+        // 6. Generic / Tailwind CSS handling
+        // Remove common "show" classes
+        modal.classList.remove('show', 'open', 'visible', 'is-active', 'is-open', 'active');
+        
+        // Add common "hide" classes (Tailwind uses 'hidden')
+        modal.classList.add('hidden');
+        
+        // Also set display none as fallback
+        modal.style.display = 'none';
+        
+        // Update ARIA attributes
+        modal.setAttribute('aria-hidden', 'true');
+        modal.removeAttribute('aria-modal');
+
+        // Remove backdrops (various frameworks use different patterns)
+        const backdropSelectors = [
+            '.modal-backdrop',                    // Bootstrap
+            '[data-modal-backdrop]',              // Flowbite
+            '.fixed.inset-0.bg-black',           // Tailwind common pattern
+            '.fixed.inset-0.bg-gray-500',        // Tailwind common pattern
+            '.fixed.inset-0.bg-gray-900',        // Tailwind common pattern
+            '.fixed.inset-0.bg-opacity-50',      // Tailwind with opacity
+            '.fixed.inset-0.bg-opacity-75',      // Tailwind with opacity
+            '.bg-black\\/50',                    // Tailwind v3 arbitrary
+            '.bg-gray-500\\/75',                 // Tailwind v3 arbitrary
+            '[data-backdrop]',                    // Generic
+            '.overlay',                           // Generic
+            '.modal-overlay',                     // Generic
+        ];
+        
+        document.querySelectorAll(backdropSelectors.join(', ')).forEach(el => {
+            // Only remove if it looks like a backdrop (fixed positioning, covers screen)
+            const style = window.getComputedStyle(el);
+            if (style.position === 'fixed' && (style.inset === '0px' || (style.top === '0px' && style.left === '0px'))) {
+                el.remove();
+            }
+        });
+
+        // Also hide sibling backdrop if exists
+        const siblingBackdrop = modal.previousElementSibling;
+        if (siblingBackdrop && (siblingBackdrop.classList.contains('modal-backdrop') || siblingBackdrop.classList.contains('fixed'))) {
+            siblingBackdrop.classList.add('hidden');
+            siblingBackdrop.style.display = 'none';
+        }
+
+        // Unlock body scroll
+        document.body.classList.remove('modal-open', 'overflow-hidden', 'overflow-y-hidden', 'fixed', 'inset-0');
+        document.body.style.overflow = '';
+        document.body.style.paddingRight = '';
+        document.body.style.position = '';
+        document.body.style.top = '';
+        document.body.style.width = '';
+
+        // Restore scroll position if it was saved
+        if (document.body.dataset.scrollY) {
+            window.scrollTo(0, parseInt(document.body.dataset.scrollY || '0'));
+            delete document.body.dataset.scrollY;
+        }
+
+        // Dispatch event for custom handling
+        modal.dispatchEvent(new CustomEvent('lb:modal:closed', { bubbles: true }));
+        modal.dispatchEvent(new CustomEvent('modal:closed', { bubbles: true }));
+        modal.dispatchEvent(new CustomEvent('close', { bubbles: true }));
+    }
+
+    /**
+     * Show toast message
+     */
+    function showToast(message, type = 'success', LiveBlade) {
+        // Use LiveBlade toast if available
+        if (LiveBlade.toast) {
+            LiveBlade.toast(message, type);
+            return;
+        }
+
+        // Fallback: create simple toast
+        const toast = document.createElement('div');
+        toast.className = `lb-toast lb-toast-${type}`;
+        toast.textContent = message;
+        
+        // Find or create toast container
+        let container = document.querySelector('.lb-toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'lb-toast-container';
+            document.body.appendChild(container);
+        }
+        
+        container.appendChild(toast);
+
+        // Trigger animation
+        setTimeout(() => toast.classList.add('lb-toast-show'), 10);
+
+        // Remove after delay
+        setTimeout(() => {
+            toast.classList.remove('lb-toast-show');
+            setTimeout(() => toast.remove(), 300);
+        }, 3000);
+    }
+
+
+    /**
+     * Built-in action types
+     */
+    const builtInActions = {
+        'prepend'(action, context) {
+            const html = action.html ?? context.html;
+            if (action.target && html) return prependHtml(action.target, html, action.fade);
+        },
+
+        'append'(action, context) {
+            const html = action.html ?? context.html;
+            if (action.target && html) return appendHtml(action.target, html, action.fade);
+        },
+
+        'replace'(action, context) {
+            const html = action.html ?? context.html;
+            if (action.target && html) return replaceHtml(action.target, html, action.fade);
+        },
+
+        'remove'(action) {
+            if (action.target) return removeElement(action.target);
+        },
+
+        'refresh'(action, context) {
+            if (action.target) return refreshTargets(action.target, context.LiveBlade);
+        },
+
+        'redirect'(action) {
+            if (action.redirect) window.location.href = action.redirect;
+        },
+
+        'replace-multiple'(action) {
+            if (!Array.isArray(action.items)) return;
+            return Promise.all(action.items.map(item => {
+                if (item.target && item.html) {
+                    return replaceHtml(item.target, item.html, item.fade || action.fade);
+                }
+            }));
+        },
+
+        'remove-multiple'(action) {
+            if (!Array.isArray(action.targets)) return;
+            return Promise.all(action.targets.map(t => removeElement(t)));
+        },
+
+        'close'(action) {
+            if (action.target) closeModal(action.target);
+        },
+
+        'reset'(action, context) {
+            if (action.target) resetForm(action.target, context.LiveBlade);
+        },
+
+        'invalidate'(action, context) {
+            context.LiveBlade.cache?.invalidate(action.pattern ?? action.target);
+        },
+
+        'toast'(action, context) {
+            if (action.message) showToast(action.message, action.level || 'success', context.LiveBlade);
+        },
+
+        'event'(action) {
+            if (!action.name) return;
+            const target = action.target ? document.querySelector(action.target) : document;
+            (target || document).dispatchEvent(new CustomEvent(action.name, {
+                detail: action.detail ?? {},
+                bubbles: true
+            }));
+        }
+    };
+
+    /**
+     * Action registry
+     */
+    const Actions = {
+        LiveBlade: null,
+        _handlers: Object.create(null),
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            Object.entries(builtInActions).forEach(([type, handler]) => this.register(type, handler));
+            LiveBlade.actions = this;
+        },
+
+        /**
+         * Register a handler for an action type (replaces existing handlers)
+         */
+        register(type, handler) {
+            if (typeof handler !== 'function') {
+                this.LiveBlade.utils.warn(`Action "${type}" handler must be a function.`);
+                return this;
+            }
+            this._handlers[type] = handler;
+            return this;
+        },
+
+        unregister(type) {
+            delete this._handlers[type];
+            return this;
+        },
+
+        has(type) {
+            return !!this._handlers[type];
+        },
+
+        /**
+         * Run a single action object
+         * Resolves once the handler (and its animation) has finished
+         */
+        async run(action, context = {}) {
+            if (!action) return;
+
+            const { warn, error } = this.LiveBlade.utils;
+            const ctx = { ...context, LiveBlade: this.LiveBlade };
+
+            // Drop cached responses before anything re-renders (true = whole cache)
+            if (action.invalidate) {
+                this.LiveBlade.cache?.invalidate(action.invalidate === true ? undefined : action.invalidate);
+            }
+
+            if (action.type) {
+                const handler = this._handlers[action.type];
+                if (handler) {
+                    try {
+                        await handler(action, ctx);
+                    } catch (e) {
+                        error(`Action "${action.type}" failed:`, e);
+                    }
+                } else {
+                    warn(`Unknown action type "${action.type}".`);
+                }
+            }
+
+            // Close modal if specified
+            if (action.close) {
+                closeModal(action.close);
+            }
+
+            // Reset form if specified
+            if (action.reset) {
+                resetForm(action.reset, this.LiveBlade);
+            }
+        },
+
+        /**
+         * Run a list of actions in order, each step waiting for the previous one
+         */
+        async runAll(actions, context = {}) {
+            for (const action of actions) {
+                await this.run(action, context);
+            }
+        },
+
+        /**
+         * Run the action(s) of a JSON response
+         * An "actions" list wins; otherwise the server "action" takes priority
+         * over the fallback built from HTML attributes
+         */
+        async handle(data, context = {}) {
+            const ctx = { html: data?.html, data, el: context.el };
+
+            if (Array.isArray(data?.actions)) {
+                await this.runAll(data.actions, ctx);
+
+                // The list replaces the fallback action, but data-lb-close and
+                // data-lb-reset still apply unless a step already did them
+                const { close, reset } = context.fallback || {};
+                const done = (key) => data.actions.some((step) => step?.type === key || step?.[key]);
+                const rest = {};
+                if (close && !done("close")) rest.close = close;
+                if (reset && !done("reset")) rest.reset = reset;
+                if (rest.close || rest.reset) await this.run(rest, ctx);
+
+                return data.actions;
+            }
+
+            const action = { ...(context.fallback || {}), ...(data?.action || {}) };
+            await this.run(action, ctx);
+            return action;
+        },
+
+        // Helpers for programmatic use
+        prepend: prependHtml,
+        append: appendHtml,
+        replace: replaceHtml,
+        remove: removeElement,
+        fadeOutAndRemove,
+        openModal,
+        closeModal,
+
+        refresh(targets) {
+            return refreshTargets(targets, this.LiveBlade);
+        },
+
+        reset(selector) {
+            resetForm(selector, this.LiveBlade);
+        },
+
+        toast(message, type = 'success') {
+            showToast(message, type, this.LiveBlade);
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature('actions', Actions);
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Actions;
+    }
+
+})(window, document);
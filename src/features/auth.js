@@ -0,0 +1,227 @@
+/**
+ * LiveBlade Feature: Authentication Expiry
+ * One path for dead sessions across all LiveBlade requests
+ *
+ * A response counts as "session expired" when it is a 401, or when it was
+ * redirected to config.loginUrl. Instead of navigating away (and losing
+ * whatever was typed into the page), LiveBlade:
+ *   1. dispatches a cancelable lb:auth:expired on document
+ *   2. opens config.loginModal, if set, and holds the request until
+ *      LiveBlade.auth.resume() (or a data-lb-relogin form) signs back in;
+ *      held requests are then replayed once with a fresh CSRF token, and
+ *      cancel() answers them with a 401 (not retried). Container and batch
+ *      timeouts (config.requestTimeout) are paused meanwhile
+ *   3. otherwise answers the caller with a 401 { success: false, message }
+ *      and offers a reload (sessionExpiredMessage)
+ *
+ * Usage:
+ *   LiveBlade.configure({ loginModal: '#relogin-modal' });
+ *
+ *   <div id="relogin-modal" class="modal">
+ *       <form data-lb-relogin action="{{ route('login') }}" method="POST">
+ *           <input name="email" type="email"> <input name="password" type="password">
+ *           <button type="submit">Sign in</button>
+ *       </form>
+ *   </div>
+ *
+ *   // Own re-login flow: prevent the default and resume when done
+ *   document.addEventListener('lb:auth:expired', (e) => {
+ *       e.preventDefault();
+ *       mySso.login().then(() => LiveBlade.auth.resume(), () => LiveBlade.auth.cancel());
+ *   });
+ *
+ * Options (config):
+ *   loginUrl    - Redirect target that means "not signed in" (default: "/login")
+ *   loginModal  - Selector of a re-login modal (default: null)
+ *
+ * Events:
+ *   lb:auth:expired  - On document, cancelable: { url, status }
+ *   lb:auth:restored - On document, after resume(): { replayed }
+ *   lb:auth:failed   - On a data-lb-relogin form when signing in failed
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    const Auth = {
+        LiveBlade: null,
+        expired: false,
+        queue: [],
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.auth = this;
+        },
+
+        isLoginUrl(url) {
+            const loginUrl = this.LiveBlade.config.loginUrl;
+            if (!loginUrl || !url) return false;
+            try {
+                const base = window.location.href;
+                return new URL(url, base).pathname === new URL(loginUrl, base).pathname;
+            } catch {
+                return false;
+            }
+        },
+
+        isExpired(response) {
+            return response.status === 401 || (response.redirected && this.isLoginUrl(response.url));
+        },
+
+        /**
+         * Response handed to callers when nobody signs back in
+         */
+        unauthenticated() {
+            const message = this.LiveBlade.config.sessionExpiredMessage || "Your session has expired.";
+            return new Response(JSON.stringify({ success: false, message }), {
+                status: 401,
+                headers: { "Content-Type": "application/json" }
+            });
+        },
+
+        /**
+         * Called by LiveBlade.http for an expired-session response
+         * Resolves with the replayed response after resume(), or a 401 otherwise
+         */
+        handle(url, init, response) {
+            const LiveBlade = this.LiveBlade;
+            const first = !this.expired;
+
+            if (first) {
+                const event = new CustomEvent("lb:auth:expired", {
+                    detail: { url, status: response.status },
+                    bubbles: true,
+                    cancelable: true
+                });
+                document.dispatchEvent(event);
+                LiveBlade.emit("auth:expired", { url, status: response.status });
+
+                const modal = LiveBlade.config.loginModal;
+                if (!event.defaultPrevented && !modal) {
+                    LiveBlade.http?.sessionExpired();
+                    return Promise.resolve(this.unauthenticated());
+                }
+
+                this.expired = true;
+                if (modal && !event.defaultPrevented) LiveBlade.actions?.openModal(modal);
+            }
+
+            return this.hold(url, init);
+        },
+
+        /**
+         * Queue a request until resume() or cancel(); aborting its signal drops it
+         */
+        hold(url, init) {
+            return new Promise((resolve, reject) => {
+                const entry = { url, init, resolve, reject };
+                const signal = init.signal;
+
+                const onAbort = () => {
+                    const index = this.queue.indexOf(entry);
+                    if (index !== -1) this.queue.splice(index, 1);
+                    reject(new DOMException("The request was aborted.", "AbortError"));
+                };
+                entry.cleanup = () => signal?.removeEventListener("abort", onAbort);
+
+                if (signal?.aborted) return onAbort();
+                signal?.addEventListener("abort", onAbort, { once: true });
+                this.queue.push(entry);
+            });
+        },
+
+        /**
+         * Signed back in: replay held requests with a fresh CSRF token
+         */
+        async resume() {
+            const LiveBlade = this.LiveBlade;
+            if (!this.expired) return;
+            this.expired = false;
+
+            // The session (and with it the token) was regenerated on login
+            const token = await LiveBlade.http.refreshCsrf();
+            const held = this.queue.splice(0);
+
+            if (LiveBlade.config.loginModal) LiveBlade.actions?.closeModal(LiveBlade.config.loginModal);
+
+            held.forEach((entry) => {
+                entry.cleanup();
+                const init = token ? LiveBlade.http.withToken(entry.init, token) : entry.init;
+                LiveBlade.http.fetch(entry.url, init).then(entry.resolve, entry.reject);
+            });
+
+            document.dispatchEvent(new CustomEvent("lb:auth:restored", { detail: { replayed: held.length }, bubbles: true }));
+            LiveBlade.emit("auth:restored", { replayed: held.length });
+        },
+
+        /**
+         * Give up: held requests get the 401 response
+         */
+        cancel() {
+            this.expired = false;
+            this.queue.splice(0).forEach((entry) => {
+                entry.cleanup();
+                entry.resolve(this.unauthenticated());
+            });
+        }
+    };
+
+    /**
+     * Re-login Binder
+     * Signs in without leaving the page, then resumes held requests
+     */
+    const ReloginBinder = {
+        selector: "[data-lb-relogin]",
+
+        bind(el, LiveBlade) {
+            if (el.tagName !== "FORM") return;
+
+            el.addEventListener("submit", async (e) => {
+                e.preventDefault();
+
+                const submitBtn = el.querySelector('[type="submit"]');
+                if (submitBtn) submitBtn.disabled = true;
+                LiveBlade.forms?.clearErrors(el);
+
+                try {
+                    // The login form still carries the dead session's token
+                    const token = await LiveBlade.http.refreshCsrf();
+                    const init = {
+                        method: "POST",
+                        headers: { "Accept": "application/json", "X-Requested-With": "XMLHttpRequest" },
+                        body: new FormData(el),
+                        credentials: "same-origin"
+                    };
+                    const response = await LiveBlade.http.send(el.action, token ? LiveBlade.http.withToken(init, token) : init);
+
+                    if (!response.ok || Auth.isLoginUrl(response.url)) {
+                        const data = await response.json().catch(() => ({}));
+                        if (data.errors) LiveBlade.forms?.showErrors(el, data.errors);
+                        el.dispatchEvent(new CustomEvent("lb:auth:failed", { detail: { status: response.status, data }, bubbles: true }));
+                        return;
+                    }
+
+                    el.reset();
+                    await Auth.resume();
+                } catch (err) {
+                    LiveBlade.utils.error("Re-login failed:", err);
+                    el.dispatchEvent(new CustomEvent("lb:auth:failed", { detail: { error: err }, bubbles: true }));
+                } finally {
+                    if (submitBtn) submitBtn.disabled = false;
+                }
+            });
+        }
+    };
+
+    // Register
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("auth", Auth);
+        window.LiveBlade.registerBinder("relogin", ReloginBinder);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = { Auth, ReloginBinder };
+    }
+
+})(window, document);
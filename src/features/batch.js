@@ -0,0 +1,166 @@
+/**
+ * LiveBlade Feature: Batched Refresh
+ * Refreshes many containers with a single request
+ *
+ * Usage:
+ *   LiveBlade.configure({ batchUrl: '/liveblade/batch' });
+ *
+ *   // Server action refreshing several containers at once
+ *   { "type": "refresh", "target": "#orders, #totals, #sidebar-stats" }
+ *
+ *   // Keep a container out of batches
+ *   <div data-lb="/live-feed" data-lb-batch="false"></div>
+ *
+ * Protocol:
+ *   POST batchUrl  { "requests": [{ "id": "ctrl_1", "url": "/orders?page=2" }, ...] }
+ *   Response       { "responses": { "ctrl_1": { "status": 200, "data": { "html": "..." } }, ... } }
+ *
+ * Options (config):
+ *   batchUrl   - Endpoint for batched refreshes (default: null, disabled)
+ *   batchSize  - Most containers per request (default: 20, the controller's
+ *                $maxRequests); larger refreshes are split into several batches
+ *
+ * Each data is a regular container response ({ html, has_more, oob, swap }).
+ * Entries that are missing or failed, and the whole batch when the request
+ * fails or exceeds config.requestTimeout, fall back to one regular refresh
+ * per container.
+ * php/LiveBladeBatchController.php implements the server side.
+ */
+
+;(function (window) {
+    "use strict";
+
+    const Batch = {
+        LiveBlade: null,
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.batch = this;
+        },
+
+        enabled() {
+            return !!this.LiveBlade.config.batchUrl;
+        },
+
+        canBatch(ctrl) {
+            return typeof ctrl.render === "function" && !ctrl._disposed &&
+                ctrl.el.getAttribute("data-lb-batch") !== "false";
+        },
+
+        /**
+         * POST one batch; resolves to its responses by id ({} when it failed
+         * or took longer than config.requestTimeout)
+         */
+        async send(entries) {
+            const LiveBlade = this.LiveBlade;
+            const { batchUrl, requestTimeout } = LiveBlade.config;
+            const abortController = new AbortController();
+            let timeoutId;
+            const armTimeout = () => {
+                // Paused while a re-login is pending (auth.js)
+                timeoutId = setTimeout(() => (LiveBlade.auth?.expired ? armTimeout() : abortController.abort()), requestTimeout);
+            };
+            armTimeout();
+
+            const init = {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "X-Requested-With": "XMLHttpRequest",
+                    "X-LiveBlade": "true",
+                    "Accept": "application/json",
+                    "X-CSRF-TOKEN": LiveBlade.getCsrf()
+                },
+                credentials: "same-origin",
+                signal: abortController.signal,
+                body: JSON.stringify({ requests: entries.map(({ id, url }) => ({ id, url })) })
+            };
+
+            try {
+                const response = await (LiveBlade.scheduler ? LiveBlade.scheduler.fetch(batchUrl, init) : LiveBlade.http.fetch(batchUrl, init));
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return (await response.json())?.responses || {};
+            } catch (err) {
+                const reason = abortController.signal.aborted ? `timed out after ${requestTimeout}ms` : err.message;
+                LiveBlade.utils.warn("Batch refresh failed, refreshing containers one by one:", reason);
+                return {};
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        },
+
+        /**
+         * Load one chunk of controllers with a single batch request
+         */
+        async load(controllers, opts) {
+            const LiveBlade = this.LiveBlade;
+
+            const entries = controllers.map((ctrl) => {
+                ctrl.resetPage();
+                ctrl.abortPendingRequest();
+                ctrl.requestId += 1;
+                ctrl.setLoading(true);
+                return { ctrl, id: ctrl.id, url: ctrl.getUrl(), requestId: ctrl.requestId };
+            });
+
+            const results = await this.send(entries);
+
+            return Promise.all(entries.map(({ ctrl, id, url, requestId }) => {
+                // A newer load took over in the meantime
+                if (ctrl.requestId !== requestId || ctrl._disposed) return null;
+                ctrl.setLoading(false);
+
+                const result = results[id];
+                if (!result || !(result.status >= 200 && result.status < 300) || !result.data) {
+                    return ctrl.refresh(opts);
+                }
+
+                if (ctrl.usesCache()) LiveBlade.cache.set(url, result.data);
+                ctrl._validators = null;
+                return ctrl.render(result.data, { url, opts: { pushState: true, ...opts } });
+            }));
+        },
+
+        /**
+         * Refresh controllers; two or more batchable ones share one request
+         * per config.batchSize containers
+         */
+        async refresh(controllers, opts = {}) {
+            const LiveBlade = this.LiveBlade;
+            const { batchUrl } = LiveBlade.config;
+            const { sameOrigin } = LiveBlade.utils;
+            const size = Math.max(2, LiveBlade.config.batchSize || 20);
+
+            const batchable = controllers.filter((ctrl) => this.canBatch(ctrl));
+            const others = controllers.filter((ctrl) => !batchable.includes(ctrl));
+
+            if (!batchUrl || !sameOrigin(batchUrl) || batchable.length < 2) {
+                return Promise.all(controllers.map((ctrl) => ctrl.refresh(opts)));
+            }
+
+            // The server rejects batches over its limit, so split them up front
+            const chunks = [];
+            for (let i = 0; i < batchable.length; i += size) chunks.push(batchable.slice(i, i + size));
+
+            // Every POST counts against the rate limit; a chunk that may not be
+            // sent, or a single container left over, is a regular refresh
+            const batches = chunks.filter((chunk) => chunk.length > 1 &&
+                (!LiveBlade.rateLimiter || LiveBlade.rateLimiter.canRequest(batchUrl)));
+            others.push(...chunks.filter((chunk) => !batches.includes(chunk)).flat());
+
+            return Promise.all(others.map((ctrl) => ctrl.refresh(opts))
+                .concat(batches.map((chunk) => this.load(chunk, opts))));
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("batch", Batch);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Batch;
+    }
+
+})(window);
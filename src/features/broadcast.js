@@ -0,0 +1,207 @@
+/**
+ * LiveBlade Feature: Broadcasting
+ * Refresh or patch containers from Laravel Echo (or any WebSocket) events
+ *
+ * Usage:
+ *   <!-- Public channel -->
+ *   <tbody id="orders" data-lb="/orders" data-lb-channel="orders" data-lb-on="OrderCreated, OrderUpdated"></tbody>
+ *
+ *   <!-- Private / presence channels -->
+ *   <div data-lb="/team/{{ $team->id }}/activity"
+ *        data-lb-channel="team.{{ $team->id }}"
+ *        data-lb-channel-type="presence"
+ *        data-lb-on="ActivityLogged, joining, leaving"></div>
+ *
+ * Options (data attributes):
+ *   data-lb-channel       - Channel name
+ *   data-lb-channel-type  - public (default), private or presence
+ *   data-lb-on            - Comma-separated event names (Echo naming, ".Raw" for custom broadcastAs names)
+ *                           Presence channels also accept here, joining and leaving
+ *
+ * Event payloads are handled like SSE updates (see HtmlController.applyUpdate):
+ *   { html, swap } patches the container, { oob } updates other elements,
+ *   { target } limits the update to matching containers, anything else refreshes.
+ *
+ * Adapters:
+ *   Uses window.Echo by default. Any object with subscribe(channel, type, event, handler)
+ *   returning an unsubscribe function can be plugged in:
+ *
+ *   LiveBlade.broadcast.use(LiveBlade.broadcast.echoAdapter(window.Echo));
+ *
+ *   // Tests
+ *   const fake = LiveBlade.broadcast.memoryAdapter();
+ *   LiveBlade.broadcast.use(fake);
+ *   fake.emit('orders', 'OrderCreated', { html: '<tr>...</tr>' });
+ */
+
+;(function (window) {
+    "use strict";
+
+    const PRESENCE_EVENTS = ["here", "joining", "leaving"];
+
+    /**
+     * Laravel Echo adapter
+     * Channels are joined once and left when their last listener unsubscribes;
+     * the public, private and presence channel of one name are separate
+     */
+    function echoAdapter(echo) {
+        const channels = new Map();
+
+        const join = (name, type) => {
+            if (type === "private") return echo.private(name);
+            if (type === "presence") return echo.join(name);
+            return echo.channel(name);
+        };
+
+        // echo.leave(name) would also leave the other channel types of that name
+        const leave = (name, type) => {
+            if (echo.leaveChannel) {
+                echo.leaveChannel(type === "public" ? name : `${type}-${name}`);
+            } else if (!Array.from(channels.values()).some((entry) => entry.name === name)) {
+                echo.leave(name);
+            }
+        };
+
+        return {
+            subscribe(name, type, event, handler) {
+                const key = type + ":" + name;
+                let entry = channels.get(key);
+                if (!entry) {
+                    entry = { channel: join(name, type), name, refs: 0 };
+                    channels.set(key, entry);
+                }
+                entry.refs++;
+
+                let active = true;
+                const listener = (payload) => { if (active) handler(payload); };
+
+                if (type === "presence" && PRESENCE_EVENTS.includes(event)) {
+                    entry.channel[event](listener);
+                } else {
+                    entry.channel.listen(event, listener);
+                }
+
+                return () => {
+                    if (!active) return;
+                    active = false;
+                    if (!PRESENCE_EVENTS.includes(event)) entry.channel.stopListening?.(event, listener);
+                    if (--entry.refs === 0) {
+                        channels.delete(key);
+                        leave(name, type);
+                    }
+                };
+            }
+        };
+    }
+
+    /**
+     * In-memory adapter for tests and demos
+     */
+    function memoryAdapter() {
+        const listeners = new Set();
+
+        return {
+            subscribe(channel, type, event, handler) {
+                const listener = { channel, type, event, handler };
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            },
+
+            emit(channel, event, payload = {}) {
+                listeners.forEach((listener) => {
+                    if (listener.channel === channel && listener.event === event) listener.handler(payload);
+                });
+            },
+
+            get subscriptions() {
+                return Array.from(listeners, ({ channel, type, event }) => ({ channel, type, event }));
+            }
+        };
+    }
+
+    const Broadcast = {
+        LiveBlade: null,
+        adapter: null,
+        echoAdapter,
+        memoryAdapter,
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.broadcast = this;
+        },
+
+        use(adapter) {
+            this.adapter = adapter;
+            return this;
+        },
+
+        /**
+         * Active adapter; falls back to window.Echo, which often boots after LiveBlade
+         */
+        getAdapter() {
+            if (!this.adapter && window.Echo) this.adapter = echoAdapter(window.Echo);
+            return this.adapter;
+        },
+
+        subscribe(channel, type, event, handler) {
+            const adapter = this.getAdapter();
+            if (!adapter) {
+                this.LiveBlade.utils.warn("No broadcast adapter: load Laravel Echo or call LiveBlade.broadcast.use()");
+                return () => {};
+            }
+            return adapter.subscribe(channel, type || "public", event, handler);
+        }
+    };
+
+    /**
+     * Channel Binder
+     */
+    const ChannelBinder = {
+        selector: "[data-lb-channel]",
+
+        bind(el, LiveBlade) {
+            const ctrl = LiveBlade.controllers.get(el) || LiveBlade.resolve(el);
+            if (!ctrl || ctrl._lbChannel) return;
+
+            const channel = el.getAttribute("data-lb-channel");
+            const type = el.getAttribute("data-lb-channel-type") || "public";
+            const events = (el.getAttribute("data-lb-on") || "").split(",").map((name) => name.trim()).filter(Boolean);
+
+            if (!channel || !events.length) {
+                LiveBlade.utils.warn("data-lb-channel needs a channel name and data-lb-on events", el);
+                return;
+            }
+
+            const unsubscribers = events.map((event) =>
+                Broadcast.subscribe(channel, type, event, (payload) => {
+                    if (payload?.target) {
+                        // The selector comes from the server; an invalid one only skips this update
+                        let matches = false;
+                        try {
+                            matches = ctrl.el.matches(payload.target);
+                        } catch {
+                            LiveBlade.utils.warn("Invalid broadcast update target:", payload.target);
+                        }
+                        if (!matches) return;
+                    }
+                    ctrl.applyUpdate(payload).catch((err) => LiveBlade.utils.error("Broadcast update failed:", err));
+                })
+            );
+
+            ctrl._lbChannel = true;
+            ctrl.onDispose(() => unsubscribers.forEach((unsubscribe) => unsubscribe()));
+        }
+    };
+
+    // Register
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("broadcast", Broadcast);
+        window.LiveBlade.registerBinder("channel", ChannelBinder);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = { Broadcast, ChannelBinder };
+    }
+
+})(window);
@@ -57,7 +57,7 @@
         });
 
         try {
-            const response = await fetch(this.url, {
+            const response = await this.LiveBlade.http.fetch(this.url, {
                 method: this.method,
                 headers: {
                     "X-Requested-With": "XMLHttpRequest",
@@ -102,9 +102,13 @@
                 this.LiveBlade.toast.success(data.message || `${ids.length} item(s) processed`);
             }
 
-            // Refresh container
-            const ctrl = this.LiveBlade.resolve(this.el);
-            if (ctrl) ctrl.refresh();
+            // Server action takes priority over refreshing the container
+            if ((data.action || data.actions) && this.LiveBlade.actions) {
+                await this.LiveBlade.actions.handle(data, { el: this.el }).catch((err) => error("Bulk action step failed:", err));
+            } else {
+                const ctrl = this.LiveBlade.resolve(this.el);
+                if (ctrl) ctrl.refresh();
+            }
 
             this.LiveBlade.emit("bulk:success", { action: this.action, ids, response: data });
 
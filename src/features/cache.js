@@ -0,0 +1,150 @@
+/**
+ * LiveBlade Feature: Response Cache
+ * Stale-while-revalidate cache for container responses
+ *
+ * Usage:
+ *   LiveBlade.configure({ cache: true });
+ *
+ *   <!-- Or per container -->
+ *   <div data-lb="/orders" data-lb-cache></div>
+ *   <div data-lb="/live-feed" data-lb-cache="false"></div>
+ *
+ * A cached response is rendered instantly, then the container revalidates in
+ * the background and only swaps again if the content changed (smartUpdate).
+ *
+ * Options (config):
+ *   cache            - Enable for all containers (default: false)
+ *   cacheTTL         - Entry lifetime in ms (default: 300000)
+ *   cacheMaxEntries  - Oldest entries are evicted beyond this (default: 50)
+ *   cacheStorage     - "memory" (default) or "session" to survive reloads (sessionStorage)
+ *
+ * Invalidation:
+ *   LiveBlade.cache.invalidate();                     // everything
+ *   LiveBlade.cache.invalidate('/orders');            // URLs starting with /orders
+ *   LiveBlade.cache.invalidate('/reports*year=2024'); // * wildcard
+ *   LiveBlade.cache.invalidate(/^\/reports/);         // RegExp
+ *
+ *   Server actions: { "type": "invalidate", "pattern": "/orders" }
+ *   or on any action: { "type": "replace", ..., "invalidate": "/orders" }
+ */
+
+;(function (window) {
+    "use strict";
+
+    const STORAGE_KEY = "lb_cache";
+
+    function toMatcher(pattern) {
+        if (pattern instanceof RegExp) return (url) => pattern.test(url);
+        if (typeof pattern === "function") return pattern;
+
+        const value = String(pattern);
+        if (value.includes("*")) {
+            const source = value.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+            const regex = new RegExp("^" + source);
+            return (url) => regex.test(url);
+        }
+        return (url) => url.startsWith(value);
+    }
+
+    const Cache = {
+        LiveBlade: null,
+        entries: new Map(),
+        _loaded: false,
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.cache = this;
+        },
+
+        useSession() {
+            return this.LiveBlade.config.cacheStorage === "session" && typeof sessionStorage !== "undefined";
+        },
+
+        load() {
+            if (this._loaded || !this.useSession()) return;
+            this._loaded = true;
+            try {
+                const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || "[]");
+                stored.forEach(([url, entry]) => this.entries.set(url, entry));
+            } catch {
+                // Corrupt or unavailable storage, start empty
+            }
+        },
+
+        persist() {
+            if (!this.useSession()) return;
+            try {
+                sessionStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(this.entries)));
+            } catch (err) {
+                this.LiveBlade.utils.warn("Response cache could not be persisted:", err.message);
+            }
+        },
+
+        /**
+         * Cached response data for url, or null when missing/expired
+         */
+        get(url) {
+            this.load();
+            const entry = this.entries.get(url);
+            if (!entry) return null;
+
+            if (Date.now() - entry.time > this.LiveBlade.config.cacheTTL) {
+                this.entries.delete(url);
+                this.persist();
+                return null;
+            }
+            return entry.data;
+        },
+
+        set(url, data) {
+            this.load();
+            const { cacheMaxEntries } = this.LiveBlade.config;
+
+            // Re-inserting keeps the Map ordered from oldest to newest
+            this.entries.delete(url);
+            this.entries.set(url, { data, time: Date.now() });
+
+            while (this.entries.size > cacheMaxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+            this.persist();
+        },
+
+        has(url) {
+            return this.get(url) !== null;
+        },
+
+        /**
+         * Drop entries matching pattern (string prefix, * wildcard, RegExp or function); all when omitted
+         */
+        invalidate(pattern) {
+            this.load();
+            if (pattern == null || pattern === "*") {
+                this.entries.clear();
+            } else {
+                const matches = toMatcher(pattern);
+                Array.from(this.entries.keys()).forEach((url) => {
+                    if (matches(url)) this.entries.delete(url);
+                });
+            }
+            this.persist();
+            this.LiveBlade.emit("cache:invalidated", { pattern });
+            return this;
+        },
+
+        clear() {
+            return this.invalidate();
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("cache", Cache);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Cache;
+    }
+
+})(window);
@@ -132,7 +132,7 @@
         this._emit('lb:cascade:loading', { parent: this.parent, child: this.child, value });
 
         try {
-            const response = await fetch(url, {
+            const init = {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -141,10 +141,12 @@
                 },
                 credentials: 'same-origin',
                 signal: this.abortController.signal
-            });
+            };
+            const retry = this.LiveBlade.retry;
+            const response = await (retry ? retry.fetch(url, init, { el: this.child }) : this.LiveBlade.http.fetch(url, init));
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+                throw this.LiveBlade.utils.httpError(response);
             }
 
             const data = await response.json();
@@ -57,6 +57,8 @@
  *       }
  *   }
  *
+ * Requires: actions.js (shared response-action engine), http.js (shared fetch)
+ *
  * Events:
  *   lb:confirm:show      - Before dialog shows
  *   lb:confirm:cancel    - When user cancels
@@ -88,12 +90,20 @@
 
     let modalElement = null;
     let currentCallback = null;
+    let currentOwner = null;
+
+    /**
+     * Escape key to cancel (listening only while the dialog is open)
+     */
+    function onKeydown(e) {
+        if (e.key === 'Escape') hideModal(false);
+    }
 
     /**
-     * Create modal if not exists
+     * Create modal if not exists (again, if something removed it from the page)
      */
     function ensureModal() {
-        if (modalElement) return modalElement;
+        if (modalElement?.isConnected) return modalElement;
 
         const div = document.createElement('div');
         div.innerHTML = modalTemplate.trim();
@@ -113,13 +123,6 @@
             if (e.target === overlay) hideModal(false);
         });
 
-        // Escape key to cancel
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && modalElement.classList.contains('lb-confirm-show')) {
-                hideModal(false);
-            }
-        });
-
         return modalElement;
     }
 
@@ -127,8 +130,12 @@
      * Show confirmation dialog
      */
     function showModal(options, callback) {
+        // A dialog still open is answered with "cancel"
+        if (currentCallback) hideModal(false);
+
         const modal = ensureModal();
         currentCallback = callback;
+        currentOwner = options.owner || null;
 
         // Set content
         modal.querySelector('.lb-confirm-title').textContent = options.title || 'Confirm';
@@ -139,6 +146,7 @@
         // Show
         modal.classList.add('lb-confirm-show');
         modal.querySelector('.lb-confirm-btn-yes').focus();
+        document.addEventListener('keydown', onKeydown);
 
         // Prevent body scroll
         document.body.style.overflow = 'hidden';
@@ -152,117 +160,12 @@
 
         modalElement.classList.remove('lb-confirm-show');
         document.body.style.overflow = '';
+        document.removeEventListener('keydown', onKeydown);
 
-        if (currentCallback) {
-            currentCallback(confirmed);
-            currentCallback = null;
-        }
-    }
-
-    /**
-     * Fade out and remove element
-     */
-    function fadeOutAndRemove(element) {
-        element.classList.add('lb-row-removing');
-        
-        element.addEventListener('animationend', () => {
-            element.remove();
-        }, { once: true });
-
-        // Fallback removal if animation doesn't fire
-        setTimeout(() => {
-            if (element.parentNode) {
-                element.remove();
-            }
-        }, 500);
-    }
-
-    /**
-     * Replace element with new HTML
-     */
-    function replaceHtml(selector, html, fade) {
-        const target = document.querySelector(selector);
-        if (!target) return;
-
-        const temp = document.createElement('div');
-        temp.innerHTML = html.trim();
-        const newElement = temp.firstElementChild;
-
-        if (newElement) {
-            newElement.classList.add('lb-row-updated');
-            target.replaceWith(newElement);
-
-            setTimeout(() => {
-                newElement.classList.remove('lb-row-updated');
-            }, 1000);
-
-            if (fade) {
-                setTimeout(() => fadeOutAndRemove(newElement), fade);
-            }
-
-            // Re-bind LiveBlade on new content
-            if (window.LiveBlade && window.LiveBlade.bind) {
-                window.LiveBlade.bind(newElement);
-            }
-        }
-    }
-
-    /**
-     * Remove element with animation
-     */
-    function removeElement(selector) {
-        const target = document.querySelector(selector);
-        if (target) {
-            fadeOutAndRemove(target);
-        }
-    }
-
-    /**
-     * Refresh target containers
-     */
-    function refreshTargets(selectors, LiveBlade) {
-        const targets = selectors.split(',').map(s => s.trim());
-        targets.forEach(selector => {
-            const target = document.querySelector(selector);
-            if (target && LiveBlade.refresh) {
-                LiveBlade.refresh(selector);
-            }
-        });
-    }
-
-    /**
-     * Show toast message
-     */
-    function showToast(message, type = 'success', LiveBlade) {
-        if (LiveBlade.toast) {
-            LiveBlade.toast(message, type);
-            return;
-        }
-
-        // Use forms toast if available
-        if (LiveBlade.forms && LiveBlade.forms.showToast) {
-            LiveBlade.forms.showToast(message, type);
-            return;
-        }
-
-        // Fallback: create simple toast
-        const toast = document.createElement('div');
-        toast.className = `lb-toast lb-toast-${type}`;
-        toast.textContent = message;
-        
-        let container = document.querySelector('.lb-toast-container');
-        if (!container) {
-            container = document.createElement('div');
-            container.className = 'lb-toast-container';
-            document.body.appendChild(container);
-        }
-        
-        container.appendChild(toast);
-        setTimeout(() => toast.classList.add('lb-toast-show'), 10);
-        setTimeout(() => {
-            toast.classList.remove('lb-toast-show');
-            setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        const callback = currentCallback;
+        currentCallback = null;
+        currentOwner = null;
+        if (callback) callback(confirmed);
     }
 
     /**
@@ -296,40 +199,6 @@
         return action.type ? action : null;
     }
 
-    /**
-     * Process action from server or fallback
-     */
-    function processAction(action, html, el, LiveBlade) {
-        if (!action || !action.type) return;
-
-        switch (action.type) {
-            case 'remove':
-                if (action.target) removeElement(action.target);
-                break;
-            case 'replace':
-                if (action.target && html) replaceHtml(action.target, html, action.fade);
-                break;
-            case 'refresh':
-                if (action.target) refreshTargets(action.target, LiveBlade);
-                break;
-            case 'redirect':
-                if (action.redirect) window.location.href = action.redirect;
-                break;
-            case 'remove-multiple':
-                if (action.targets) action.targets.forEach(t => removeElement(t));
-                break;
-            case 'replace-multiple':
-                if (action.items) {
-                    action.items.forEach(item => {
-                        if (item.target && item.html) {
-                            replaceHtml(item.target, item.html, item.fade || action.fade);
-                        }
-                    });
-                }
-                break;
-        }
-    }
-
     /**
      * Handle confirm action
      */
@@ -355,7 +224,8 @@
             title,
             message,
             confirmText,
-            cancelText
+            cancelText,
+            owner: el
         }, async (confirmed) => {
             if (!confirmed) {
                 el.dispatchEvent(new CustomEvent('lb:confirm:cancel', {
@@ -385,7 +255,7 @@
             el.disabled = true;
 
             try {
-                const response = await fetch(url, {
+                const response = await LiveBlade.http.fetch(url, {
                     method: method,
                     headers: {
                         'Accept': 'application/json',
@@ -406,17 +276,15 @@
                 el.classList.remove('lb-confirm-loading');
                 el.classList.add('lb-confirm-success');
 
-                // Determine action: server response takes priority
-                const serverAction = data.action || {};
-                const fallbackAction = getFallbackAction(el) || {};
-                const action = { ...fallbackAction, ...serverAction };
-
-                // Process the action
-                processAction(action, data.html, el, LiveBlade);
+                // Process the action: server response takes priority
+                const action = await LiveBlade.actions.handle(data, {
+                    el,
+                    fallback: getFallbackAction(el)
+                });
 
                 // Show success message
                 if (data.message) {
-                    showToast(data.message, 'success', LiveBlade);
+                    LiveBlade.actions.toast(data.message, 'success');
                 }
 
                 // Emit success event
@@ -439,7 +307,7 @@
                 el.disabled = false;
 
                 // Show error toast
-                showToast(err.message || 'An error occurred', 'error', LiveBlade);
+                LiveBlade.actions.toast(err.message || 'An error occurred', 'error');
 
                 // Emit error event
                 el.dispatchEvent(new CustomEvent('lb:confirm:error', {
@@ -463,13 +331,22 @@
 
         bind(el, LiveBlade) {
             if (el._lbConfirm) return;
-            el._lbConfirm = true;
 
-            el.addEventListener('click', (e) => {
+            el._lbConfirm = (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 handleConfirm(el, LiveBlade);
-            });
+            };
+            el.addEventListener('click', el._lbConfirm);
+        },
+
+        unbind(el) {
+            if (!el._lbConfirm) return;
+            el.removeEventListener('click', el._lbConfirm);
+            delete el._lbConfirm;
+
+            // The button is gone: its open dialog counts as cancelled
+            if (currentOwner === el) hideModal(false);
         }
     };
 
@@ -15,18 +15,37 @@
             const url = el.dataset.lbFetch || el.dataset.lbData;
             if (!url || !sameOrigin(url)) return;
 
-            const update = async () => {
-                try {
-                    const response = await fetch(url, {
-                        headers: {
-                            "X-Requested-With": "XMLHttpRequest",
-                            "X-CSRF-TOKEN": LiveBlade.getCsrf(),
-                            "Accept": "application/json"
-                        },
-                        credentials: "same-origin"
-                    });
+            // Validators of the last response, sent back as a conditional request
+            let etag = null;
+            let lastModified = null;
 
-                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            // Only the first load retries; polling backs off on its own
+            const update = async (initial = false) => {
+                try {
+                    const headers = {
+                        "X-Requested-With": "XMLHttpRequest",
+                        "X-CSRF-TOKEN": LiveBlade.getCsrf(),
+                        "Accept": "application/json"
+                    };
+                    if (etag) headers["If-None-Match"] = etag;
+                    if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+                    const init = { headers, credentials: "same-origin" };
+                    const scheduler = LiveBlade.scheduler;
+                    const send = (u, i) => scheduler
+                        ? scheduler.fetch(u, i, { priority: scheduler.priorityOf(el) })
+                        : LiveBlade.http.fetch(u, i);
+                    const response = await (initial && LiveBlade.retry
+                        ? LiveBlade.retry.fetch(url, init, { el, send })
+                        : send(url, init));
+
+                    // Unchanged since the last update
+                    if (response.status === 304) return;
+
+                    if (!response.ok) throw LiveBlade.utils.httpError(response);
+
+                    etag = response.headers.get("etag");
+                    lastModified = response.headers.get("last-modified");
 
                     const data = await response.json();
 
@@ -45,17 +64,25 @@
                     el.classList.add("lb-data-error");
                     if (!el.textContent) el.textContent = "—";
                     LiveBlade.emit("data:error", { el, error: err });
+                    return false;
                 }
             };
 
             // Initial fetch
-            update();
+            update(true);
 
             // Set up interval if configured
             const interval = parseInt(el.dataset.lbInterval, 10);
-            if (interval > 0) {
+            if (interval > 0 && LiveBlade.Poller) {
+                el._lbPoller = new LiveBlade.Poller(update, { interval: interval * 1000 }).start();
+            } else if (interval > 0) {
                 el._lbDataTimer = setInterval(update, interval * 1000);
             }
+        },
+
+        unbind(el) {
+            if (el._lbPoller) { el._lbPoller.stop(); delete el._lbPoller; }
+            if (el._lbDataTimer) { clearInterval(el._lbDataTimer); delete el._lbDataTimer; }
         }
     };
 
@@ -49,6 +49,32 @@
             const throttledChange = throttle(handleChange, LiveBlade.config.throttle);
 
             el.addEventListener("change", throttledChange);
+        },
+
+        sync(el, LiveBlade) {
+            const ctrl = LiveBlade.resolve(el);
+            if (!ctrl) return;
+
+            const key = el.name || el.dataset.lbParam || "filter";
+            const value = ctrl.params[key];
+
+            // Without the param, back to the state the control was rendered with
+            if (value === undefined) {
+                if (el.type === "checkbox" || el.type === "radio") el.checked = el.defaultChecked;
+                else if (el.tagName === "SELECT") Array.from(el.options).forEach((option) => { option.selected = option.defaultSelected; });
+                else el.value = el.defaultValue;
+                return;
+            }
+
+            if (el.type === "checkbox") {
+                el.checked = value !== "" && value === (el.value !== "on" ? el.value : "1");
+            } else if (el.type === "radio") {
+                el.checked = el.value === value;
+            } else if (el.tagName === "SELECT") {
+                if (Array.from(el.options).some((option) => option.value === value)) el.value = value;
+            } else if (el.value !== value) {
+                el.value = value;
+            }
         }
     };
 
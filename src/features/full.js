@@ -8,7 +8,18 @@
 
 // Infrastructure features
 // @include ../features/rate-limiter.js
+// @include ../features/http.js
+// @include ../features/auth.js
+// @include ../features/scheduler.js
+// @include ../features/batch.js
+// @include ../features/retry.js
 // @include ../features/state.js
+// @include ../features/polling.js
+// @include ../features/cache.js
+// @include ../features/morph.js
+// @include ../features/transitions.js
+// @include ../features/actions.js
+// @include ../features/observer.js
 // @include ../features/html-controller.js
 
 // Standard binders
@@ -18,9 +29,13 @@
 // @include ../features/filter.js
 // @include ../features/sort.js
 // @include ../features/button.js
+// @include ../features/infinite.js
 // @include ../features/toggle.js
 // @include ../features/data.js
+// @include ../features/sse.js
+// @include ../features/broadcast.js
 // @include ../features/pagination.js
+// @include ../features/prefetch.js
 
 // Optional features
 // @include ../features/toast.js
@@ -30,5 +45,7 @@
 // @include ../features/delete.js
 // @include ../features/bulk-actions.js
 
+// Testing helpers ship separately: dist/liveblade.testing.js
+
 // Note: This file is for documentation purposes.
 // The actual bundle is created by concatenating these files.
@@ -64,6 +64,133 @@
         `;
     }
 
+    /**
+     * Out-of-band fragments
+     *   <span id="badge" data-lb-oob>3</span>           → replaces #badge
+     *   <template data-lb-oob="#sidebar">...</template> → fills #sidebar
+     */
+    function extractOob(html, cssEscape) {
+        if (!html || html.indexOf("data-lb-oob") === -1) return { html, entries: [] };
+
+        const template = document.createElement("template");
+        template.innerHTML = html;
+
+        const entries = [];
+        Array.from(template.content.children).forEach((node) => {
+            if (!node.hasAttribute("data-lb-oob")) return;
+            node.remove();
+
+            const value = node.getAttribute("data-lb-oob");
+            const isTemplate = node.tagName === "TEMPLATE";
+            const target = value && value !== "true" ? value : (node.id ? "#" + cssEscape(node.id) : null);
+            const swap = node.getAttribute("data-lb-swap") || (isTemplate ? "innerHTML" : "outerHTML");
+            if (!target) return;
+
+            node.removeAttribute("data-lb-oob");
+            node.removeAttribute("data-lb-swap");
+            entries.push({ target, swap, html: swap === "outerHTML" ? node.outerHTML : node.innerHTML });
+        });
+
+        return { html: template.innerHTML, entries };
+    }
+
+    function disposeTree(el, LiveBlade) {
+        [el, ...el.querySelectorAll("[data-lb-bound]")].forEach((node) => {
+            LiveBlade.controllers.get(node)?.dispose?.();
+        });
+    }
+
+    /**
+     * Swap modes
+     *   innerHTML   - replace children (default)
+     *   outerHTML   - replace the element itself
+     *   morph       - patch children in place (morph.js)
+     *   afterbegin  - insert before the first child (alias: prepend)
+     *   beforeend   - insert after the last child (alias: append)
+     *   beforebegin - insert before the element
+     *   afterend    - insert after the element
+     *   delete      - remove the element, ignoring the response
+     *   none        - leave the DOM alone
+     */
+    const SWAP_MODES = ["innerHTML", "outerHTML", "morph", "afterbegin", "beforeend", "beforebegin", "afterend", "delete", "none"];
+    const SWAP_ALIASES = { prepend: "afterbegin", append: "beforeend" };
+    const INSERT_MODES = ["afterbegin", "beforeend", "beforebegin", "afterend"];
+
+    function normalizeSwap(mode, LiveBlade) {
+        mode = SWAP_ALIASES[mode] || mode;
+        if (!SWAP_MODES.includes(mode)) {
+            if (mode) LiveBlade.utils.warn("Unknown swap mode:", mode);
+            return "innerHTML";
+        }
+        return mode === "morph" && !LiveBlade.morph ? "innerHTML" : mode;
+    }
+
+    /**
+     * Swap html into an arbitrary element
+     * Returns the element that needs re-binding (null if nothing was inserted)
+     */
+    function swapContent(el, html, mode, LiveBlade) {
+        mode = normalizeSwap(mode, LiveBlade);
+
+        switch (mode) {
+            case "none":
+                return null;
+            case "delete":
+                disposeTree(el, LiveBlade);
+                el.remove();
+                return null;
+            case "outerHTML": {
+                const parent = el.parentElement;
+                disposeTree(el, LiveBlade);
+                el.outerHTML = html;
+                return parent;
+            }
+            case "beforebegin":
+            case "afterend":
+                el.insertAdjacentHTML(mode, html);
+                return el.parentElement;
+            case "afterbegin":
+            case "beforeend":
+                el.insertAdjacentHTML(mode, html);
+                return el;
+            case "morph":
+                LiveBlade.morph(el, html);
+                return el;
+            default:
+                el.innerHTML = html;
+                return el;
+        }
+    }
+
+    /**
+     * History helpers
+     * Each history entry stores a snapshot of every history-enabled container,
+     * keyed by a key that survives reloads (data-lb-history-key, id, or initial URL + index)
+     */
+    const historyKeyCounts = new Map();
+
+    function createHistoryKey(el, initUrl) {
+        const explicit = el.getAttribute("data-lb-history-key") || el.getAttribute("data-lb-url-prefix") || el.id;
+        if (explicit) return explicit;
+
+        const base = (initUrl || "container").split("?")[0];
+        const count = historyKeyCounts.get(base) || 0;
+        historyKeyCounts.set(base, count + 1);
+        return base + "#" + count;
+    }
+
+    function snapshotHistory(LiveBlade) {
+        const controllers = {};
+        LiveBlade.instances.forEach((ctrl) => {
+            if (!ctrl.usesHistory() || !ctrl._historyEntry) return;
+            controllers[ctrl.historyKey] = {
+                ...ctrl._historyEntry,
+                scroll: { top: ctrl.el.scrollTop, left: ctrl.el.scrollLeft }
+            };
+        });
+        return { liveblade: true, controllers, scroll: { x: window.scrollX, y: window.scrollY } };
+    }
+
     /**
      * HTML Controller Class
      */
@@ -78,13 +205,20 @@
         this.abortController = null;
         this.timeoutId = null;
         this.refreshTimer = null;
+        this.poller = null;
+        this._request = null;
+        this._queuedLoad = null;
 
         this.requestId = 0;
         this.retryCount = 0;
+        this.loading = false;
         this.lastHTML = null;
 
-        this._historyInitialized = false;
         this._disposed = false;
+        this._revealObserver = null;
+        this._revealIdle = null;
+        this._disposers = [];
+        this._validators = null;
 
         if (!el.getAttribute("role")) el.setAttribute("role", "region");
         if (!el.getAttribute("aria-live")) el.setAttribute("aria-live", "polite");
@@ -100,17 +234,120 @@
                         el.getAttribute("data-lb");
 
         if (initUrl && initUrl !== "html") this.setUrl(initUrl);
+        this.historyKey = createHistoryKey(el, initUrl);
+        this._initialParams = { ...this.params };
+
+        // Deep links: params in the page URL override the initial ones
+        if (this.syncsFromUrl()) {
+            const urlParams = this.readUrlParams();
+            this.updateParams(urlParams);
+            this._historyUrlKeys = Object.keys(urlParams).map((key) => this.toUrlKey(key));
+        }
+
+        const start = () => {
+            if (this._disposed) return;
+
+            const interval = parseInt(el.getAttribute("data-lb-interval"), 10);
+            if (interval > 0) this.startPolling(interval * 1000);
+
+            if (initUrl && initUrl !== "html") {
+                this.load(false, { pushState: false, isInitial: true });
+            }
+        };
+
+        const lazy = el.getAttribute("data-lb-lazy");
+        if (lazy === null || lazy === "false") start();
+        else this.whenRevealed(lazy, start);
+    };
 
-        const interval = parseInt(el.getAttribute("data-lb-interval"), 10);
-        if (interval > 0) {
-            this.refreshTimer = setInterval(() => {
-                if (!this._disposed) this.refresh();
-            }, interval * 1000);
+    /**
+     * Defer the first load (and polling) of a data-lb-lazy container
+     *   data-lb-lazy         - when it scrolls into view (data-lb-lazy-margin / config.lazyMargin ahead)
+     *   data-lb-lazy="idle"  - when the browser is idle
+     */
+    HtmlController.prototype.whenRevealed = function (mode, callback) {
+        const done = () => {
+            this.cancelReveal();
+            callback();
+        };
+
+        if (mode === "idle") {
+            this._revealIdle = typeof window.requestIdleCallback === "function"
+                ? { id: window.requestIdleCallback(done, { timeout: 2000 }), cancel: window.cancelIdleCallback }
+                : { id: setTimeout(done, 1), cancel: clearTimeout };
+            return;
         }
 
-        if (initUrl && initUrl !== "html") {
-            this.load(false, { pushState: false, isInitial: true });
+        if (typeof IntersectionObserver === "undefined") {
+            done();
+            return;
+        }
+
+        const rootMargin = this.el.getAttribute("data-lb-lazy-margin") || this.LiveBlade.config.lazyMargin;
+        this._revealObserver = new IntersectionObserver((entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) done();
+        }, { rootMargin });
+        this._revealObserver.observe(this.el);
+    };
+
+    HtmlController.prototype.cancelReveal = function () {
+        if (this._revealObserver) {
+            this._revealObserver.disconnect();
+            this._revealObserver = null;
         }
+        if (this._revealIdle) {
+            this._revealIdle.cancel.call(window, this._revealIdle.id);
+            this._revealIdle = null;
+        }
+    };
+
+    /**
+     * Polling (data-lb-interval)
+     * Uses LiveBlade.Poller (polling.js) when available, a plain interval otherwise
+     */
+    HtmlController.prototype.startPolling = function (interval) {
+        this.stopPolling();
+
+        if (this.LiveBlade.Poller) {
+            this.poller = new this.LiveBlade.Poller(() => this.poll(), { interval }).start();
+            return this;
+        }
+
+        this.refreshTimer = setInterval(() => {
+            if (!this._disposed) this.refresh();
+        }, interval);
+        return this;
+    };
+
+    HtmlController.prototype.stopPolling = function () {
+        if (this.poller) {
+            this.poller.stop();
+            this.poller = null;
+        }
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        return this;
+    };
+
+    HtmlController.prototype.pausePolling = function () {
+        this.poller?.pause();
+        return this;
+    };
+
+    HtmlController.prototype.resumePolling = function (immediate = true) {
+        this.poller?.resume(immediate);
+        return this;
+    };
+
+    /**
+     * Background refresh of the current URL: no history entry, no retries,
+     * content is kept on failure. Resolves to false when the request failed.
+     */
+    HtmlController.prototype.poll = function () {
+        if (this._disposed || this.loading) return Promise.resolve();
+        return this.load(false, { background: true });
     };
 
     HtmlController.prototype.setUrl = function (url) {
@@ -143,12 +380,73 @@
         return this.LiveBlade.utils.buildUrl(this.path, this.params, this.hash);
     };
 
+    HtmlController.prototype.getSwap = function () {
+        return normalizeSwap(this.el.getAttribute("data-lb-swap") || this.LiveBlade.config.swap, this.LiveBlade);
+    };
+
+    /**
+     * Swap html into the container using the given (or configured) swap mode
+     * Returns the element that needs re-binding
+     */
+    HtmlController.prototype.swap = function (html, mode = this.getSwap()) {
+        mode = normalizeSwap(mode, this.LiveBlade);
+
+        if (mode === "outerHTML") return this.replaceSelf(html);
+        if (mode === "delete") {
+            this.el.remove();
+            this.dispose();
+            return null;
+        }
+        return swapContent(this.el, html, mode, this.LiveBlade);
+    };
+
+    /**
+     * outerHTML swap of the container itself
+     * The controller moves to the new root element; it is disposed if there is none
+     */
+    HtmlController.prototype.replaceSelf = function (html) {
+        const old = this.el;
+        const parent = old.parentElement;
+        const template = document.createElement("template");
+        template.innerHTML = html;
+        const next = template.content.firstElementChild;
+
+        old.querySelectorAll("[data-lb-bound]").forEach((node) => {
+            this.LiveBlade.controllers.get(node)?.dispose?.();
+        });
+        old.replaceWith(template.content);
+
+        if (!next) {
+            this.dispose();
+            return parent;
+        }
+
+        this.LiveBlade.controllers.delete(old);
+        this.LiveBlade.controllers.set(next, this);
+        this.el = next;
+
+        if (!next.getAttribute("role")) next.setAttribute("role", "region");
+        if (!next.getAttribute("aria-live")) next.setAttribute("aria-live", "polite");
+
+        return parent;
+    };
+
+    /**
+     * Run a swap through the transitions feature when it is loaded and enabled
+     */
+    HtmlController.prototype.transition = function (swap) {
+        const transitions = this.LiveBlade.transitions;
+        if (!transitions) return Promise.resolve(swap());
+        return transitions.run(this.el, swap, { settleTarget: () => this.el });
+    };
+
     HtmlController.prototype.showSkeleton = function () {
         if (this.el.innerHTML.trim()) return;
         this.el.innerHTML = getSkeletonHTML(this.LiveBlade.config);
     };
 
     HtmlController.prototype.setLoading = function (loading) {
+        this.loading = loading;
         this.el.classList.toggle("lb-loading", loading);
         this.el.setAttribute("aria-busy", loading ? "true" : "false");
         this.LiveBlade.emit(loading ? "loading:start" : "loading:end", { controller: this });
@@ -165,10 +463,44 @@
         }
     };
 
-    HtmlController.prototype.load = async function (append = false, opts = {}) {
+    /**
+     * data-lb-sync policy for loads started while one is running: replace, drop or queue
+     */
+    HtmlController.prototype.getSync = function () {
+        return this.el.getAttribute("data-lb-sync") || this.LiveBlade.config.sync || "replace";
+    };
+
+    HtmlController.prototype.load = function (append = false, opts = {}) {
+        if (this._disposed) return Promise.resolve();
+
+        // Background refreshes never wait or get dropped; they just replace
+        if (this._request && !opts.background) {
+            const sync = this.getSync();
+            if (sync === "drop") return Promise.resolve();
+            if (sync === "queue") {
+                this._queuedLoad?.resolve();
+                return new Promise((resolve) => {
+                    this._queuedLoad = { append, opts, resolve };
+                });
+            }
+        }
+
+        const request = this._load(append, opts).finally(() => {
+            if (this._request !== request) return;
+            this._request = null;
+
+            const next = this._queuedLoad;
+            this._queuedLoad = null;
+            if (next) next.resolve(this.load(next.append, next.opts));
+        });
+        this._request = request;
+        return request;
+    };
+
+    HtmlController.prototype._load = async function (append = false, opts = {}) {
         if (this._disposed) return;
 
-        const { sameOrigin, log, escapeHtml } = this.LiveBlade.utils;
+        const { sameOrigin, log } = this.LiveBlade.utils;
         const config = this.LiveBlade.config;
 
         const url = this.getUrl();
@@ -180,54 +512,109 @@
         this.requestId += 1;
         const currentRequestId = this.requestId;
 
-        if (opts.isInitial && !append) this.showSkeleton();
+        const mode = append ? "beforeend" : this.getSwap();
+        const caching = !append && mode !== "delete" && this.usesCache();
+
+        // Prefetched response (prefetch.js): render it without another request
+        let prefetched = !append && mode !== "delete" && !opts.background && opts.cache !== false
+            ? this.LiveBlade.prefetch?.take(url)
+            : null;
+        if (prefetched?.then) {
+            this.setLoading(true);
+            prefetched = await prefetched;
+            if (currentRequestId !== this.requestId || this._disposed) return;
+            this.setLoading(false);
+        }
+        if (prefetched) {
+            this.abortPendingRequest();
+            this._validators = null;
+            await this.render(prefetched, { url, mode, opts });
+            return;
+        }
+
+        // Stale-while-revalidate: show the cached response now, revalidate quietly below
+        const cached = caching && !opts.background && opts.cache !== false ? this.LiveBlade.cache.get(url) : null;
+        if (cached) {
+            this.abortPendingRequest();
+            await this.render(cached, { url, mode, opts, cached: true });
+            if (currentRequestId !== this.requestId || this._disposed) return;
+            opts = { ...opts, pushState: false, background: true, revalidate: true };
+        } else if (opts.isInitial && !append && !INSERT_MODES.includes(mode) && mode !== "none" && mode !== "delete") {
+            this.showSkeleton();
+        }
 
         this.abortPendingRequest();
         this.abortController = new AbortController();
 
-        this.timeoutId = setTimeout(() => {
-            if (this.abortController) this.abortController.abort();
-        }, config.requestTimeout);
-
-        const prevHTML = this.el.innerHTML;
-
-        // Save state if feature is available
-        const savedState = this.LiveBlade.state?.saveAll(this.el, config);
+        let timedOut = false;
+        const armTimeout = () => {
+            this.timeoutId = setTimeout(() => {
+                // Paused while a re-login is pending (auth.js): the request is held, not slow
+                if (this.LiveBlade.auth?.expired) return armTimeout();
+                timedOut = true;
+                if (this.abortController) this.abortController.abort();
+            }, config.requestTimeout);
+        };
+        armTimeout();
 
-        this.setLoading(true);
-        log("Fetching:", url);
+        if (!opts.revalidate) this.setLoading(true);
+        log(opts.revalidate ? "Revalidating:" : "Fetching:", url);
 
         let response, data;
 
+        const headers = {
+            "X-Requested-With": "XMLHttpRequest",
+            "X-LiveBlade": "true",
+            "Accept": "application/json, text/html",
+            "X-CSRF-TOKEN": this.LiveBlade.getCsrf()
+        };
+
+        // Conditional request: only when the container still shows this URL's last response
+        const validators = !append && this._validators?.url === url ? this._validators : null;
+        if (validators?.etag) headers["If-None-Match"] = validators.etag;
+        if (validators?.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+
+        const init = {
+            method: "GET",
+            headers,
+            credentials: "same-origin",
+            signal: this.abortController.signal
+        };
+        const scheduler = this.LiveBlade.scheduler;
+
         try {
-            response = await fetch(url, {
-                method: "GET",
-                headers: {
-                    "X-Requested-With": "XMLHttpRequest",
-                    "X-LiveBlade": "true",
-                    "Accept": "application/json, text/html",
-                    "X-CSRF-TOKEN": this.LiveBlade.getCsrf()
-                },
-                credentials: "same-origin",
-                signal: this.abortController.signal
-            });
+            response = await (scheduler
+                ? scheduler.fetch(url, init, { priority: scheduler.priorityOf(this.el) })
+                : this.LiveBlade.http.fetch(url, init));
         } catch (err) {
             if (this.timeoutId) clearTimeout(this.timeoutId);
-            if (err.name === "AbortError") return;
-            this.handleError(err, url, append);
-            return;
+
+            // A newer load aborted this one and owns the loading state now
+            if (currentRequestId !== this.requestId) return;
+            if (!opts.revalidate) this.setLoading(false);
+            if (err.name === "AbortError" && !timedOut) return;
+
+            const failure = timedOut ? new DOMException(`Request timed out after ${config.requestTimeout}ms`, "TimeoutError") : err;
+            this.handleError(failure, url, append, opts);
+            return false;
         }
 
         if (this.timeoutId) clearTimeout(this.timeoutId);
         if (currentRequestId !== this.requestId) return;
 
         try {
-            if (response.redirected) {
+            // Login redirects are answered by auth.js; navigating would lose the page state
+            if (response.redirected && !this.LiveBlade.auth?.isExpired(response)) {
                 window.location.href = response.url;
                 return;
             }
 
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            if (response.status === 304 && validators) {
+                this.notModified(url, opts);
+                return;
+            }
+
+            if (!response.ok) throw this.LiveBlade.utils.httpError(response);
 
             const contentType = response.headers.get("content-type") || "";
             if (contentType.includes("application/json")) {
@@ -236,55 +623,332 @@
                 data = { html: await response.text(), has_more: false };
             }
         } catch (err) {
-            this.handleError(err, url, append);
-            return;
+            this.handleError(err, url, append, opts);
+            return false;
         } finally {
-            this.setLoading(false);
+            if (!opts.revalidate) this.setLoading(false);
         }
 
-        const html = typeof data.html === "string" ? data.html : "";
-        const hasMore = !!data.has_more;
-        const contentChanged = append || !config.smartUpdate || detectContentChanges(prevHTML, html, config.contentHashLength);
+        if (caching) this.LiveBlade.cache.set(url, data);
+
+        await this.render(data, { url, append, mode, opts });
+
+        // Appended pages make the content differ from this URL's response
+        const etag = response.headers.get("etag");
+        const lastModified = response.headers.get("last-modified");
+        this._validators = !append && (etag || lastModified) ? { url, etag, lastModified } : null;
+    };
+
+    /**
+     * 304 Not Modified: keep the DOM as is, no swap and no rebind
+     */
+    HtmlController.prototype.notModified = function (url, opts = {}) {
+        this.retryCount = 0;
+
+        const previousEntry = this._historyEntry;
+        this.commitHistoryEntry();
+        if (opts.pushState) this.writeHistory(previousEntry, opts);
+
+        const detail = { url, data: null, append: false, notModified: true };
+        this.el.dispatchEvent(new CustomEvent("lb:loaded", { detail, bubbles: true }));
+        this.LiveBlade.emit("loaded", { controller: this, ...detail, changed: false });
+    };
+
+    /**
+     * Put a container response ({ html, has_more, oob, swap }) into the page
+     * Returns true when the DOM changed
+     */
+    HtmlController.prototype.render = async function (data, { url, append = false, mode = this.getSwap(), opts = {}, cached = false }) {
+        const config = this.LiveBlade.config;
+        const prevHTML = this.el.innerHTML;
 
-        if (append) {
-            this.el.insertAdjacentHTML("beforeend", html);
-        } else if (contentChanged) {
-            this.el.innerHTML = html;
-            this.lastHTML = html;
+        const extracted = extractOob(typeof data.html === "string" ? data.html : "", this.LiveBlade.utils.cssEscape);
+        const html = extracted.html;
+        const oob = extracted.entries.concat(Array.isArray(data.oob) ? data.oob : []);
+        const hasMore = !!data.has_more;
+        const swap = append ? mode : normalizeSwap(data.swap || mode, this.LiveBlade);
+        const contentChanged = swap !== "none" && (
+            INSERT_MODES.includes(swap) || swap === "delete" || !config.smartUpdate ||
+            detectContentChanges(prevHTML, html, config.contentHashLength)
+        );
+
+        // Morphing and insertions keep focus, inputs and scroll in place; state saving is only needed for full swaps
+        const replacing = swap === "innerHTML" || swap === "outerHTML";
+        const savedState = contentChanged && replacing ? this.LiveBlade.state?.saveAll(this.el, config) : null;
+
+        // The element is removed after lb:loaded has been dispatched
+        let bindRoot = null;
+        if (contentChanged && swap !== "delete") {
+            bindRoot = append ? this.swap(html, swap) : await this.transition(() => this.swap(html, swap));
+            if (!INSERT_MODES.includes(swap)) this.lastHTML = html;
         }
 
         this.el.dataset.lbHasMore = hasMore ? "1" : "0";
         this.retryCount = 0;
 
-        if (contentChanged) this.LiveBlade.bind(this.el);
+        if (bindRoot) this.LiveBlade.bind(bindRoot);
+        if (oob.length) this.applyOob(oob);
 
-        // Restore state if not appending
-        if (!append && savedState) {
-            this.LiveBlade.state?.restoreAll(this.el, savedState);
+        // Restore state after a full replacement
+        if (savedState) this.LiveBlade.state?.restoreAll(this.el, savedState);
+
+        if (!append) {
+            const previousEntry = this._historyEntry;
+            this.commitHistoryEntry();
+            if (opts.pushState) this.writeHistory(previousEntry, opts);
         }
 
-        // History management
+        this.el.dispatchEvent(new CustomEvent("lb:loaded", { detail: { url, data, append, swap, cached }, bubbles: true }));
+        this.LiveBlade.emit("loaded", { controller: this, url, data, append, swap, cached, changed: contentChanged });
+
+        if (swap === "delete") this.swap(html, "delete");
+        return contentChanged;
+    };
+
+    /**
+     * Response cache (cache.js): config.cache or data-lb-cache, data-lb-cache="false" opts out
+     */
+    HtmlController.prototype.usesCache = function () {
+        if (!this.LiveBlade.cache) return false;
+        const attr = this.el.getAttribute("data-lb-cache");
+        return attr !== null ? attr !== "false" : !!this.LiveBlade.config.cache;
+    };
+
+    /**
+     * History
+     */
+    HtmlController.prototype.usesHistory = function () {
         // Skip if data-lb-no-history is set on element or any parent
-        const noHistory = this.el.closest('[data-lb-no-history]') !== null || 
-                          this.el.hasAttribute('data-lb-no-history');
-        
-        if (!append && opts.pushState && window.history && config.updateUrl && !noHistory) {
-            const newUrl = this.getUrl();
-            const historyState = { liveblade: true, controllerId: this.id, path: this.path, params: { ...this.params } };
-
-            if (!this._historyInitialized || opts.replaceState || config.updateUrlMode === "replace") {
-                window.history.replaceState(historyState, "", newUrl);
-                this._historyInitialized = true;
-            } else {
-                window.history.pushState(historyState, "", newUrl);
-            }
+        return !!this.LiveBlade.config.updateUrl && !!window.history && this.el.closest("[data-lb-no-history]") === null;
+    };
+
+    HtmlController.prototype.commitHistoryEntry = function () {
+        this._historyEntry = { path: this.path, params: { ...this.params }, hash: this.hash };
+    };
+
+    /**
+     * Address bar URL for this controller
+     *   config.historyUrl "controller" - the container URL replaces the page URL
+     *   config.historyUrl "composite"  - the container's params are merged into the page URL
+     */
+    HtmlController.prototype.getHistoryUrl = function () {
+        const prefix = this.getUrlPrefix();
+        if (this.LiveBlade.config.historyUrl !== "composite" && !prefix) {
+            // The container URL replaces the page URL; keys other (prefixed) containers wrote stay theirs
+            const u = new URL(this.getUrl(), window.location.href);
+            const current = new URLSearchParams(window.location.search);
+            this.LiveBlade.instances.forEach((ctrl) => {
+                if (ctrl === this || !ctrl.getUrlPrefix()) return;
+                (ctrl._historyUrlKeys || []).forEach((key) => {
+                    if (current.has(key)) u.searchParams.set(key, current.get(key));
+                });
+            });
+            return u.pathname + u.search + u.hash;
         }
 
-        this.el.dispatchEvent(new CustomEvent("lb:loaded", { detail: { url, data, append }, bubbles: true }));
-        this.LiveBlade.emit("loaded", { controller: this, url, data, append, changed: contentChanged });
+        // Only params that differ from the container's initial URL are written;
+        // initial params that were cleared are written empty so deep links clear them too
+        const initial = this._initialParams || {};
+        const changed = {};
+        Object.entries(this.params).forEach(([key, value]) => { if (initial[key] !== value) changed[key] = value; });
+        Object.keys(initial).forEach((key) => { if (!(key in this.params)) changed[key] = ""; });
+
+        const u = new URL(window.location.href);
+        (this._historyUrlKeys || []).forEach((key) => u.searchParams.delete(key));
+        Object.entries(changed).forEach(([key, value]) => u.searchParams.set(this.toUrlKey(key), value));
+        this._historyUrlKeys = Object.keys(changed).map((key) => this.toUrlKey(key));
+        return u.pathname + u.search + u.hash;
     };
 
-    HtmlController.prototype.handleError = function (err, url, append) {
+    /**
+     * Namespaced page URL params (data-lb-url-prefix="orders")
+     *   config.urlPrefixFormat "bracket"    - orders[page]=2
+     *   config.urlPrefixFormat "underscore" - orders_page=2
+     * The container's own fetch URL keeps plain names.
+     */
+    HtmlController.prototype.getUrlPrefix = function () {
+        return this.el.getAttribute("data-lb-url-prefix") || "";
+    };
+
+    HtmlController.prototype.toUrlKey = function (key) {
+        const prefix = this.getUrlPrefix();
+        if (!prefix) return key;
+        return this.LiveBlade.config.urlPrefixFormat === "underscore" ? `${prefix}_${key}` : `${prefix}[${key}]`;
+    };
+
+    HtmlController.prototype.fromUrlKey = function (urlKey) {
+        const prefix = this.getUrlPrefix();
+        if (!prefix) return urlKey;
+
+        if (this.LiveBlade.config.urlPrefixFormat === "underscore") {
+            return urlKey.startsWith(prefix + "_") ? urlKey.slice(prefix.length + 1) : null;
+        }
+        const match = urlKey.match(/^(.+)\[([^\]]+)\]$/);
+        return match && match[1] === prefix ? match[2] : null;
+    };
+
+    /**
+     * Read this container's params from the page URL
+     */
+    HtmlController.prototype.readUrlParams = function () {
+        const only = this.getUrlSyncKeys();
+        const params = {};
+        new URLSearchParams(window.location.search).forEach((value, urlKey) => {
+            const key = this.fromUrlKey(urlKey);
+            if (key && (!only || only.includes(key))) params[key] = value;
+        });
+        return params;
+    };
+
+    /**
+     * Whether the page URL seeds this container's params on init
+     *   data-lb-url-prefix            - always (only the prefixed keys are read)
+     *   data-lb-url-sync              - always; a comma list limits the keys ("sort,dir,status")
+     *   data-lb-url-sync="false"      - never
+     *   neither                       - when it is the only container on the page
+     * With several containers the page URL may hold another container's params.
+     */
+    HtmlController.prototype.syncsFromUrl = function () {
+        const sync = this.el.getAttribute("data-lb-url-sync");
+        if (sync === "false") return false;
+        if (this.getUrlPrefix() || sync !== null) return true;
+
+        // Counted once, on init: containers added later do not change the answer
+        if (this._onlyContainer === undefined) {
+            const selector = this.LiveBlade._binders.html?.selector;
+            this._onlyContainer = !!selector && document.querySelectorAll(selector).length === 1;
+        }
+        return this._onlyContainer;
+    };
+
+    HtmlController.prototype.getUrlSyncKeys = function () {
+        const sync = this.el.getAttribute("data-lb-url-sync");
+        if (!sync || sync === "true") return null;
+        return sync.split(",").map((key) => key.trim()).filter(Boolean);
+    };
+
+    /**
+     * Bring bound search inputs, filters and sort headers in line with the current params
+     */
+    HtmlController.prototype.syncControls = function () {
+        this.LiveBlade.sync(document, this);
+        return this;
+    };
+
+    /**
+     * Push (or replace) a history entry after a load
+     * previousEntry is what this controller showed before, so the entry we leave stays restorable
+     */
+    HtmlController.prototype.writeHistory = function (previousEntry, opts = {}) {
+        if (!this.usesHistory()) return;
+
+        const config = this.LiveBlade.config;
+        const { buildUrl } = this.LiveBlade.utils;
+        const next = snapshotHistory(this.LiveBlade);
+        const unchanged = previousEntry && buildUrl(previousEntry.path, previousEntry.params, previousEntry.hash) === this.getUrl();
+
+        if (opts.replaceState || config.updateUrlMode === "replace" || unchanged) {
+            window.history.replaceState(next, "", this.getHistoryUrl());
+            return;
+        }
+
+        const current = window.history.state;
+        const leaving = snapshotHistory(this.LiveBlade);
+        leaving.controllers = { ...(current?.liveblade ? current.controllers : {}), ...leaving.controllers };
+        if (previousEntry) {
+            leaving.controllers[this.historyKey] = { ...leaving.controllers[this.historyKey], ...previousEntry };
+        }
+        window.history.replaceState(leaving, "", window.location.href);
+
+        window.history.pushState(next, "", this.getHistoryUrl());
+    };
+
+    /**
+     * Restore this controller from a history entry; only reloads when its URL differs
+     */
+    HtmlController.prototype.restoreHistory = function (entry) {
+        const restoreScroll = () => {
+            if (!entry.scroll) return;
+            this.el.scrollTop = entry.scroll.top;
+            this.el.scrollLeft = entry.scroll.left;
+        };
+
+        const { buildUrl } = this.LiveBlade.utils;
+        const current = this._historyEntry ? buildUrl(this._historyEntry.path, this._historyEntry.params, this._historyEntry.hash) : null;
+        if (current === buildUrl(entry.path, entry.params || {}, entry.hash || "")) {
+            restoreScroll();
+            return Promise.resolve();
+        }
+
+        this.path = entry.path;
+        this.params = { ...entry.params };
+        this.hash = entry.hash || "";
+        this.syncControls();
+        return Promise.resolve(this.load(false, { pushState: false })).then(restoreScroll);
+    };
+
+    /**
+     * Apply an update pushed by the server (SSE, broadcasting)
+     *   { html, swap?, oob? } - swap html into the container
+     *   { oob: [...] }        - out-of-band entries only
+     *   anything else         - background refresh of the current URL
+     */
+    HtmlController.prototype.applyUpdate = async function (payload) {
+        if (this._disposed) return;
+
+        const hasHtml = typeof payload?.html === "string";
+        const oob = Array.isArray(payload?.oob) ? payload.oob : [];
+        if (!hasHtml && !oob.length) return this.poll();
+
+        let entries = oob;
+        if (hasHtml) {
+            this._validators = null;
+            const extracted = extractOob(payload.html, this.LiveBlade.utils.cssEscape);
+            const swap = normalizeSwap(payload.swap || this.getSwap(), this.LiveBlade);
+            entries = extracted.entries.concat(oob);
+
+            const root = await this.transition(() => this.swap(extracted.html, swap));
+            if (!INSERT_MODES.includes(swap)) this.lastHTML = extracted.html;
+            if (root) this.LiveBlade.bind(root);
+        }
+
+        if (entries.length) this.applyOob(entries);
+
+        this.el.dispatchEvent(new CustomEvent("lb:updated", { detail: { payload }, bubbles: true }));
+        this.LiveBlade.emit("updated", { controller: this, payload });
+    };
+
+    /**
+     * Apply { target, html, swap } entries to elements outside the container
+     */
+    HtmlController.prototype.applyOob = function (entries) {
+        const { warn } = this.LiveBlade.utils;
+
+        entries.forEach((entry) => {
+            if (!entry?.target) return;
+
+            // The selector comes from the server; an invalid one must not break the render
+            let target = null;
+            try {
+                target = document.querySelector(entry.target);
+            } catch {
+                warn("Invalid out-of-band target:", entry.target);
+                return;
+            }
+            if (!target) {
+                warn("Out-of-band target not found:", entry.target);
+                return;
+            }
+
+            const swap = entry.swap || "innerHTML";
+            const root = swapContent(target, typeof entry.html === "string" ? entry.html : "", swap, this.LiveBlade);
+            if (root) this.LiveBlade.bind(root);
+
+            this.LiveBlade.emit("oob", { controller: this, target: entry.target, swap });
+        });
+    };
+
+    HtmlController.prototype.handleError = function (err, url, append, opts = {}) {
         if (this._disposed || err.name === "AbortError") return;
 
         const { error, escapeHtml } = this.LiveBlade.utils;
@@ -292,14 +956,28 @@
 
         error("Request failed:", err.message);
 
-        if (this.retryCount < config.maxRetries) {
-            this.retryCount++;
-            const delay = config.retryDelay * this.retryCount;
+        // Background refreshes keep the current content; the poller backs off instead
+        if (opts.background) {
+            this.LiveBlade.emit("error", { controller: this, error: err, url, background: true });
+            return;
+        }
+
+        // Retry policy (retry.js): only retryable errors, with backoff and Retry-After
+        const retry = this.LiveBlade.retry;
+        const attempt = this.retryCount + 1;
+        const delay = retry
+            ? retry.delayFor(err, attempt)
+            : (attempt <= config.maxRetries ? config.retryDelay * attempt : null);
+
+        if (delay !== null) {
+            this.retryCount = attempt;
+            retry?.notify(this.el, { url, attempt, delay, error: err });
             setTimeout(() => { if (!this._disposed) this.load(append, {}); }, delay);
             return;
         }
 
         const isOffline = navigator?.onLine === false;
+        this._validators = null;
         this.el.innerHTML = getErrorHTML(err.message, isOffline, escapeHtml);
         this.LiveBlade.bind(this.el);
 
@@ -307,9 +985,9 @@
         this.LiveBlade.emit("error", { controller: this, error: err, url, offline: isOffline });
     };
 
-    HtmlController.prototype.refresh = function () {
+    HtmlController.prototype.refresh = function (opts = {}) {
         this.resetPage();
-        return this.load(false, { pushState: true });
+        return this.load(false, { pushState: true, ...opts });
     };
 
     HtmlController.prototype.navigate = function (url) {
@@ -323,12 +1001,29 @@
         return this.load(true);
     };
 
+    /**
+     * Register a teardown callback (subscriptions, observers, ...)
+     */
+    HtmlController.prototype.onDispose = function (fn) {
+        if (this._disposed) fn(this);
+        else this._disposers.push(fn);
+        return this;
+    };
+
     HtmlController.prototype.dispose = function () {
         if (this._disposed) return;
         this._disposed = true;
 
+        this._disposers.splice(0).forEach((fn) => {
+            try { fn(this); } catch (err) { this.LiveBlade.utils.error("Dispose callback failed:", err); }
+        });
+
         this.abortPendingRequest();
-        if (this.refreshTimer) clearInterval(this.refreshTimer);
+        this.cancelReveal();
+        this.stopPolling();
+
+        this._queuedLoad?.resolve();
+        this._queuedLoad = null;
 
         this.LiveBlade.instances.delete(this);
         this.LiveBlade.controllers.delete(this.el);
@@ -343,17 +1038,20 @@
             // Store controller class on LiveBlade for external access
             LiveBlade.HtmlController = HtmlController;
 
-            // Handle popstate for history navigation
+            // Handle popstate for history navigation: only containers whose entry changed reload
             window.addEventListener("popstate", (ev) => {
-                if (!ev.state?.liveblade) return;
+                const state = ev.state;
+                if (!state?.liveblade || !state.controllers) return;
+
+                const loads = [];
                 LiveBlade.instances.forEach((ctrl) => {
-                    if (ev.state.path) {
-                        ctrl.path = ev.state.path;
-                        ctrl.params = { ...ev.state.params };
-                    } else {
-                        ctrl.setUrl(window.location.href);
-                    }
-                    ctrl.load(false, { pushState: false });
+                    const entry = state.controllers[ctrl.historyKey];
+                    if (entry && ctrl.usesHistory()) loads.push(ctrl.restoreHistory(entry));
+                });
+
+                Promise.all(loads).then(() => {
+                    if (state.scroll) window.scrollTo(state.scroll.x, state.scroll.y);
+                    LiveBlade.emit("history:restored", { state });
                 });
             });
 
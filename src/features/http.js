@@ -0,0 +1,263 @@
+/**
+ * LiveBlade Feature: HTTP Client
+ * The one fetch() every LiveBlade request goes through
+ *
+ * Interceptors:
+ *   const eject = LiveBlade.http.use({
+ *       // Before sending: change url/init in place or return a new { url, init }
+ *       request(req) {
+ *           req.init.headers.set('X-Tenant', window.tenantId);
+ *           req.init.headers.set('X-Trace-Id', crypto.randomUUID());
+ *       },
+ *       // After a response: return a Response to replace it
+ *       response(response, req) {
+ *           console.debug(req.init.method || 'GET', req.url, response.status);
+ *       },
+ *       // Network errors: return a Response to recover, otherwise the error is rethrown
+ *       error(err, req) {
+ *           reportError(err);
+ *       }
+ *   });
+ *   eject(); // remove again
+ *
+ *   Interceptors run in the order they were added, may be async, and see
+ *   init.headers as a Headers instance. Aborted requests skip error().
+ *
+ * Transport:
+ *   Requests are sent with window.fetch unless config.transport is set to a
+ *   function with the same signature, e.g. LiveBlade.testing.mockServer().
+ *
+ * Expired sessions (401, login redirects) are handed to auth.js.
+ *
+ * Prefetches (X-LiveBlade-Prefetch header) skip the 419 and expired-session
+ * handling: hovering a link must not open a dialog or wait for a login.
+ *
+ * Page Expired (419):
+ *   Laravel answers 419 when the CSRF token no longer matches the session, e.g.
+ *   in a tab left open past the session lifetime. The client then fetches a
+ *   fresh token, updates the meta tag and every _token field, and replays the
+ *   request once. If that fails too, a "session expired" dialog offers a reload.
+ *
+ *   // Cheapest token source (otherwise the current page is re-fetched for its meta tag)
+ *   Route::get('/liveblade/csrf', fn () => ['token' => csrf_token()]);
+ *   LiveBlade.configure({ csrfRefreshUrl: '/liveblade/csrf' });
+ *
+ * Options (config):
+ *   transport              - fetch(url, init) replacement (default: null, window.fetch)
+ *   csrfRefreshUrl         - Endpoint returning { token } (default: null, re-fetch the current page)
+ *   sessionExpiredMessage  - Dialog text; null disables the dialog
+ *
+ * Usage:
+ *   const response = await LiveBlade.http.fetch('/orders/1/approve', { method: 'POST', headers });
+ *   const raw = await LiveBlade.http.send('/ping');  // interceptors only
+ *
+ * Events (LiveBlade.on):
+ *   csrf:refreshed   - A fresh token was installed
+ *   session:expired  - The token could not be refreshed
+ */
+
+;(function (window) {
+    "use strict";
+
+    const CSRF_EXPIRED = 419;
+
+    /**
+     * Same request with the new token in the header and in any _token body field
+     */
+    function withToken(init, token) {
+        const headers = new Headers(init.headers || {});
+        headers.set("X-CSRF-TOKEN", token);
+
+        let body = init.body;
+        if ((body instanceof FormData || body instanceof URLSearchParams) && body.has("_token")) {
+            body.set("_token", token);
+        } else if (typeof body === "string" && body.includes('"_token"')) {
+            try {
+                body = JSON.stringify({ ...JSON.parse(body), _token: token });
+            } catch {
+                // Not JSON, send as is
+            }
+        }
+
+        return { ...init, headers, body };
+    }
+
+    const Http = {
+        LiveBlade: null,
+        _csrfRefresh: null,
+        _expiredShown: false,
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.http = this;
+        },
+
+        withToken,
+        interceptors: [],
+        pending: new Set(),
+
+        /**
+         * Add interceptors ({ request, response, error }); returns a function removing them
+         */
+        use(interceptor) {
+            this.interceptors.push(interceptor);
+            return () => {
+                const index = this.interceptors.indexOf(interceptor);
+                if (index !== -1) this.interceptors.splice(index, 1);
+            };
+        },
+
+        /**
+         * fetch() through the interceptors, without 419/401 handling
+         * Tracked in this.pending until it settles (LiveBlade.testing.settle)
+         */
+        send(url, init = {}) {
+            const request = this._send(url, init);
+            this.pending.add(request);
+            const forget = () => this.pending.delete(request);
+            request.then(forget, forget);
+            return request;
+        },
+
+        async _send(url, init) {
+            let req = { url, init: { ...init, headers: new Headers(init.headers || {}) } };
+
+            for (const { request } of this.interceptors.slice()) {
+                if (request) req = (await request(req)) || req;
+            }
+
+            const transport = this.LiveBlade.config.transport || fetch;
+
+            let response;
+            try {
+                response = await transport(req.url, req.init);
+            } catch (err) {
+                if (err.name === "AbortError") throw err;
+                for (const { error } of this.interceptors.slice()) {
+                    const recovered = error ? await error(err, req) : null;
+                    if (recovered) {
+                        response = recovered;
+                        break;
+                    }
+                }
+                if (!response) throw err;
+            }
+
+            for (const { response: intercept } of this.interceptors.slice()) {
+                if (intercept) response = (await intercept(response, req)) || response;
+            }
+            return response;
+        },
+
+        async fetch(url, init = {}) {
+            return this.recover(url, init, await this.send(url, init));
+        },
+
+        /**
+         * 419 replay and expired-session handling for a response of send()
+         */
+        async recover(url, init, response) {
+            // Speculative: the caller drops anything but a 2xx response
+            if (new Headers(init.headers || {}).has("X-LiveBlade-Prefetch")) return response;
+
+            if (response.status === CSRF_EXPIRED) response = await this.csrfExpired(url, init, response);
+
+            // Dead session: 401 or redirected to the login page (auth.js)
+            const auth = this.LiveBlade.auth;
+            if (auth?.isExpired(response)) return auth.handle(url, init, response);
+
+            return response;
+        },
+
+        /**
+         * 419: replay once with a fresh token
+         */
+        async csrfExpired(url, init, response) {
+            this.LiveBlade.utils.log("CSRF token expired, refreshing:", url);
+            const token = await this.refreshCsrf();
+            if (!token) {
+                this.sessionExpired();
+                return response;
+            }
+
+            const replay = await this.send(url, withToken(init, token));
+            if (replay.status === CSRF_EXPIRED) this.sessionExpired();
+            return replay;
+        },
+
+        /**
+         * Fetch and install a fresh CSRF token; concurrent callers share one request
+         * Resolves to the token, or null when none could be obtained
+         */
+        refreshCsrf() {
+            if (!this._csrfRefresh) {
+                this._csrfRefresh = this.fetchToken()
+                    .then((token) => {
+                        if (token) {
+                            this.LiveBlade.setCsrf(token);
+                            this.LiveBlade.emit("csrf:refreshed", { token });
+                        }
+                        return token;
+                    })
+                    .catch((err) => {
+                        this.LiveBlade.utils.warn("CSRF token refresh failed:", err.message);
+                        return null;
+                    })
+                    .finally(() => { this._csrfRefresh = null; });
+            }
+            return this._csrfRefresh;
+        },
+
+        async fetchToken() {
+            const endpoint = this.LiveBlade.config.csrfRefreshUrl;
+
+            // Without an endpoint, load the page itself as a normal (non-AJAX) request
+            const response = await this.send(endpoint || window.location.href, {
+                headers: endpoint
+                    ? { "Accept": "application/json", "X-Requested-With": "XMLHttpRequest" }
+                    : { "Accept": "text/html" },
+                credentials: "same-origin",
+                cache: "no-store"
+            });
+            if (!response.ok) return null;
+
+            const text = await response.text();
+            try {
+                const data = JSON.parse(text);
+                return data?.token || data?.csrf_token || null;
+            } catch {
+                const doc = new DOMParser().parseFromString(text, "text/html");
+                return doc.querySelector('meta[name="csrf-token"]')?.content || null;
+            }
+        },
+
+        /**
+         * Last resort: offer a reload (one dialog at a time)
+         */
+        async sessionExpired() {
+            this.LiveBlade.emit("session:expired", {});
+
+            const message = this.LiveBlade.config.sessionExpiredMessage;
+            if (!message || this._expiredShown) return;
+            this._expiredShown = true;
+
+            const reload = this.LiveBlade.confirm
+                ? await this.LiveBlade.confirm(message, { title: "Session expired", confirmText: "Reload", cancelText: "Stay" })
+                : window.confirm(message);
+
+            if (reload) window.location.reload();
+            else this._expiredShown = false;
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("http", Http);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Http;
+    }
+
+})(window);
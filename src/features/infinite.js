@@ -0,0 +1,207 @@
+/**
+ * LiveBlade Feature: Infinite Scroll Binder
+ * Calls loadMore() on a container when a sentinel element scrolls into view
+ *
+ * Usage:
+ *   <tbody id="orders" data-lb="/orders"></tbody>
+ *   <div data-lb-infinite data-lb-target="#orders"></div>
+ *
+ *   <!-- Scrolling inside a panel, switch to a button after 3 auto-loads -->
+ *   <div data-lb-infinite data-lb-target="#orders"
+ *        data-lb-root="#orders-panel"
+ *        data-lb-margin="300px"
+ *        data-lb-threshold="3"></div>
+ *
+ * Options (data attributes):
+ *   data-lb-target     - Container to load into (default: closest container)
+ *   data-lb-root       - Scrollable ancestor used as the IntersectionObserver root (default: viewport)
+ *   data-lb-margin     - Root margin, loads before the sentinel is actually visible (default: 200px)
+ *   data-lb-threshold  - Number of automatic loads before a "Load more" button takes over (default: unlimited)
+ *   data-lb-more-text  - Label of the manual button (default: "Load more")
+ *
+ * The sentinel stops once the container reports has_more: false and
+ * starts over when the container is refreshed (filters, sorting, ...).
+ * A page that fails or runs past config.requestTimeout is retried by the
+ * container. The sentinel keeps its loader and loads nothing else meanwhile
+ * (that would skip the page), then resumes with the retry's lb:loaded; after
+ * the last failed attempt (lb:error) it is released again.
+ *
+ * Events:
+ *   lb:infinite:done  - No more pages
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    function getLoaderHTML() {
+        return `
+            <div class="lb-infinite-loader" role="status" aria-label="Loading">
+                <svg class="lb-spinner" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle class="lb-spinner-circle" cx="12" cy="12" r="10"></circle>
+                </svg>
+            </div>
+        `;
+    }
+
+    const InfiniteBinder = {
+        selector: "[data-lb-infinite]",
+
+        bind(el, LiveBlade) {
+            if (el._lbInfinite) return;
+
+            if (typeof IntersectionObserver === "undefined") {
+                LiveBlade.utils.warn("IntersectionObserver not supported, data-lb-infinite disabled");
+                return;
+            }
+
+            const threshold = parseInt(el.dataset.lbThreshold, 10) || 0;
+            const rootSelector = el.dataset.lbRoot;
+            const root = rootSelector ? document.querySelector(rootSelector) : null;
+
+            let autoLoads = 0;
+            let manual = false;
+            let busy = false;
+            // A failed page the container is retrying
+            let retrying = false;
+
+            const hasMore = (ctrl) => ctrl.el.dataset.lbHasMore !== "0";
+
+            const setLoader = (show) => {
+                el.classList.toggle("lb-infinite-loading", show);
+                el.setAttribute("aria-busy", show ? "true" : "false");
+                el.querySelector(".lb-infinite-loader")?.remove();
+                if (show) el.insertAdjacentHTML("beforeend", getLoaderHTML());
+            };
+
+            const showButton = () => {
+                if (el.querySelector(".lb-infinite-more")) return;
+                const button = document.createElement("button");
+                button.type = "button";
+                button.className = "lb-infinite-more";
+                button.textContent = el.dataset.lbMoreText || "Load more";
+                button.addEventListener("click", () => loadNext());
+                el.appendChild(button);
+            };
+
+            const finish = (ctrl) => {
+                el.querySelector(".lb-infinite-more")?.remove();
+                el.classList.add("lb-infinite-done");
+                el.dispatchEvent(new CustomEvent("lb:infinite:done", { detail: { controller: ctrl }, bubbles: true }));
+            };
+
+            // Re-observing makes the observer report the current intersection again,
+            // so a sentinel that is still visible after a short page keeps loading
+            const recheck = () => {
+                observer.unobserve(el);
+                observer.observe(el);
+            };
+
+            const loadNext = async () => {
+                const ctrl = LiveBlade.resolve(el);
+                if (!ctrl || busy || retrying || ctrl.loading || !hasMore(ctrl)) return;
+
+                busy = true;
+                el.querySelector(".lb-infinite-more")?.remove();
+                setLoader(true);
+
+                let result;
+                try {
+                    result = await ctrl.loadMore();
+                } finally {
+                    busy = false;
+                    setLoader(false);
+                }
+
+                // A failed or timed-out page is retried by the controller; hold the
+                // sentinel until its lb:loaded, a loadMore() now would skip the page
+                if (result === false && ctrl.retryCount) {
+                    retrying = true;
+                    setLoader(true);
+                    return;
+                }
+
+                if (!hasMore(ctrl)) {
+                    finish(ctrl);
+                } else if (manual) {
+                    showButton();
+                } else {
+                    recheck();
+                }
+            };
+
+            const observer = new IntersectionObserver((entries) => {
+                if (!entries.some((entry) => entry.isIntersecting) || manual || retrying) return;
+
+                const ctrl = LiveBlade.resolve(el);
+                if (!ctrl || ctrl.loading || !hasMore(ctrl)) return;
+
+                if (threshold && autoLoads >= threshold) {
+                    manual = true;
+                    showButton();
+                    return;
+                }
+
+                autoLoads++;
+                loadNext();
+            }, { root, rootMargin: el.dataset.lbMargin || "200px" });
+
+            const release = () => {
+                if (!retrying) return;
+                retrying = false;
+                setLoader(false);
+            };
+
+            // A fresh (non-append) load starts the sequence over
+            const onLoaded = (e) => {
+                const ctrl = LiveBlade.resolve(el);
+                if (!ctrl || e.target !== ctrl.el) return;
+                release();
+
+                if (e.detail?.append) {
+                    if (!busy && !manual && hasMore(ctrl)) recheck();
+                    return;
+                }
+
+                autoLoads = 0;
+                manual = false;
+                el.querySelector(".lb-infinite-more")?.remove();
+                el.classList.toggle("lb-infinite-done", !hasMore(ctrl));
+                if (hasMore(ctrl)) recheck();
+            };
+
+            // The retries gave up: the container shows its error and retry button
+            const onError = (e) => {
+                const ctrl = LiveBlade.resolve(el);
+                if (ctrl && e.target === ctrl.el) release();
+            };
+
+            document.addEventListener("lb:loaded", onLoaded);
+            document.addEventListener("lb:error", onError);
+            observer.observe(el);
+
+            el._lbInfinite = {
+                disconnect() {
+                    observer.disconnect();
+                    document.removeEventListener("lb:loaded", onLoaded);
+                    document.removeEventListener("lb:error", onError);
+                    delete el._lbInfinite;
+                }
+            };
+        },
+
+        unbind(el) {
+            el._lbInfinite?.disconnect();
+        }
+    };
+
+    // Register binder
+    if (window.LiveBlade) {
+        window.LiveBlade.registerBinder("infinite", InfiniteBinder);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = InfiniteBinder;
+    }
+
+})(window, document);
@@ -161,7 +161,7 @@
         this.abortController = new AbortController();
 
         try {
-            const response = await fetch(this.url, {
+            const response = await this.LiveBlade.http.fetch(this.url, {
                 method: "PATCH",
                 headers: {
                     "X-Requested-With": "XMLHttpRequest",
@@ -217,9 +217,13 @@
 
             this.LiveBlade.emit("edit:success", { row: this.row, data: newData, response: data });
 
-            // Refresh container
-            const ctrl = this.LiveBlade.resolve(this.row);
-            if (ctrl && this.row.dataset.lbRefresh !== "false") ctrl.refresh();
+            // Server action takes priority over refreshing the container
+            if ((data.action || data.actions) && this.LiveBlade.actions) {
+                await this.LiveBlade.actions.handle(data, { el: this.row }).catch((err) => error("Inline edit action failed:", err));
+            } else {
+                const ctrl = this.LiveBlade.resolve(this.row);
+                if (ctrl && this.row.dataset.lbRefresh !== "false") ctrl.refresh();
+            }
 
         } catch (err) {
             if (err.name === "AbortError") return;
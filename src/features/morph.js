@@ -0,0 +1,227 @@
+/**
+ * LiveBlade Feature: DOM Morphing
+ * Patches existing DOM to match new HTML instead of replacing it
+ *
+ * Usage:
+ *   <!-- Per container -->
+ *   <tbody data-lb="/orders" data-lb-swap="morph"></tbody>
+ *
+ *   <!-- Globally -->
+ *   LiveBlade.configure({ swap: 'morph' });
+ *
+ *   <!-- Stable identity for rows -->
+ *   <tr data-lb-key="order-{{ $order->id }}">...</tr>
+ *
+ * Matching:
+ *   Elements are matched by data-lb-key, then id, then position + tag name.
+ *   Unchanged nodes are not touched, so focus, open <details>, running
+ *   CSS transitions and listeners inside the container survive the update.
+ *   A keyed node whose key is gone is removed without shifting the rest.
+ *
+ * Form fields:
+ *   What the user typed is kept (config.preserveInputs, default true) unless
+ *   the server renders a different value for that field; the focused field
+ *   is never touched. With preserveInputs: false every field takes the
+ *   rendered value.
+ *
+ * Options (data attributes):
+ *   data-lb-key       - Stable key used to match elements between updates
+ *   data-lb-preserve  - Never morph this element or its children
+ *
+ * Nested containers and elements that render their own content
+ * (config.morphOwned, default "[data-lb-rating]") are only replaced
+ * when their attributes change.
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    function getKey(node) {
+        if (node.nodeType !== 1) return null;
+        return node.getAttribute("data-lb-key") || node.id || null;
+    }
+
+    function isSameNode(a, b) {
+        if (a.nodeType !== b.nodeType) return false;
+        if (a.nodeType !== 1) return true;
+        return a.tagName === b.tagName;
+    }
+
+    /**
+     * Whether the server rendered a different value for a form field
+     */
+    function renderedValueChanged(from, to) {
+        const tag = from.tagName;
+        if (tag === "INPUT" && (from.type === "checkbox" || from.type === "radio")) {
+            return from.hasAttribute("checked") !== to.hasAttribute("checked");
+        }
+        if (tag === "INPUT") return from.getAttribute("value") !== to.getAttribute("value");
+        if (tag === "TEXTAREA") return from.defaultValue !== to.textContent;
+        if (tag === "OPTION") return from.hasAttribute("selected") !== to.hasAttribute("selected");
+        return false;
+    }
+
+    function attributesDiffer(from, to) {
+        for (const attr of Array.from(to.attributes)) {
+            if (from.getAttribute(attr.name) !== attr.value) return true;
+        }
+        return false;
+    }
+
+    const Morph = {
+        LiveBlade: null,
+
+        /**
+         * Tear down controllers, pollers and subscriptions in a node that leaves the DOM
+         */
+        dispose(node) {
+            if (node.nodeType === 1) this.LiveBlade?.cleanup(node);
+        },
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.morph = this.morph.bind(this);
+        },
+
+        /**
+         * Morph the children of el to match html
+         */
+        morph(el, html, options = {}) {
+            const config = this.LiveBlade?.config || {};
+            const template = document.createElement("template");
+            template.innerHTML = typeof html === "string" ? html : "";
+
+            this.morphChildren(el, template.content, {
+                owned: options.owned ?? config.morphOwned,
+                syncInputs: options.syncInputs ?? config.preserveInputs === false
+            });
+            return el;
+        },
+
+        morphChildren(fromParent, toParent, options) {
+            const keyed = new Map();
+            Array.from(fromParent.childNodes).forEach((child) => {
+                const key = getKey(child);
+                if (key && !keyed.has(key)) keyed.set(key, child);
+            });
+
+            const wanted = new Set(Array.from(toParent.childNodes, getKey).filter(Boolean));
+            let cursor = fromParent.firstChild;
+
+            Array.from(toParent.childNodes).forEach((toChild) => {
+                // A keyed node nothing asks for anymore would stop position matching
+                // for every node after it; drop it right away
+                while (cursor && getKey(cursor) && !wanted.has(getKey(cursor))) {
+                    const next = cursor.nextSibling;
+                    this.dispose(cursor);
+                    fromParent.removeChild(cursor);
+                    cursor = next;
+                }
+
+                const key = getKey(toChild);
+                let match = null;
+
+                if (key) {
+                    match = keyed.get(key) || null;
+                    if (match && !isSameNode(match, toChild)) match = null;
+                    if (match) keyed.delete(key);
+                } else if (cursor && !getKey(cursor) && isSameNode(cursor, toChild)) {
+                    match = cursor;
+                }
+
+                if (!match) {
+                    fromParent.insertBefore(toChild, cursor);
+                    return;
+                }
+
+                if (match === cursor) {
+                    cursor = cursor.nextSibling;
+                } else {
+                    fromParent.insertBefore(match, cursor);
+                }
+
+                this.morphNode(match, toChild, options);
+            });
+
+            // Anything left after the cursor was not matched
+            while (cursor) {
+                const next = cursor.nextSibling;
+                this.dispose(cursor);
+                fromParent.removeChild(cursor);
+                cursor = next;
+            }
+        },
+
+        morphNode(from, to, options) {
+            if (from.nodeType !== 1) {
+                if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+                return;
+            }
+
+            if (from.hasAttribute("data-lb-preserve")) return;
+
+            const LiveBlade = this.LiveBlade;
+            const owned = LiveBlade?.controllers.has(from) || (!!options.owned && from.matches(options.owned));
+
+            // Self-managed elements keep their content; replace them only if they changed
+            if (owned) {
+                if (attributesDiffer(from, to)) {
+                    this.dispose(from);
+                    from.replaceWith(to);
+                }
+                return;
+            }
+
+            // Checked before the attributes (and with them the defaults) change
+            const sync = from !== document.activeElement && (options.syncInputs || renderedValueChanged(from, to));
+
+            this.morphAttributes(from, to);
+            if (sync) this.syncInput(from, to);
+
+            this.morphChildren(from, to, options);
+        },
+
+        morphAttributes(from, to) {
+            // Bound elements keep attributes added by their binder (tabindex, role, ...)
+            const bound = from.hasAttribute("data-lb-bound");
+
+            Array.from(to.attributes).forEach((attr) => {
+                if (from.getAttribute(attr.name) !== attr.value) {
+                    from.setAttribute(attr.name, attr.value);
+                }
+            });
+
+            if (bound) return;
+
+            Array.from(from.attributes).forEach((attr) => {
+                if (!to.hasAttribute(attr.name)) from.removeAttribute(attr.name);
+            });
+        },
+
+        syncInput(from, to) {
+            const tag = from.tagName;
+            if (tag === "INPUT") {
+                if (from.type === "checkbox" || from.type === "radio") {
+                    from.checked = to.hasAttribute("checked");
+                } else if (from.value !== (to.getAttribute("value") || "")) {
+                    from.value = to.getAttribute("value") || "";
+                }
+            } else if (tag === "TEXTAREA") {
+                if (from.value !== to.textContent) from.value = to.textContent;
+            } else if (tag === "OPTION") {
+                from.selected = to.hasAttribute("selected");
+            }
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("morph", Morph);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Morph;
+    }
+
+})(window, document);
@@ -0,0 +1,122 @@
+/**
+ * LiveBlade Feature: DOM Observer
+ * Binds HTML inserted by other scripts and cleans up HTML they remove
+ *
+ * LiveBlade binds the page at init and after its own swaps. Markup added by
+ * Alpine, jQuery, Bootstrap modals or custom scripts stays inert until
+ * LiveBlade.bind() is called, and removed nodes keep their controllers,
+ * timers and document listeners. With the observer on, added subtrees are
+ * bound and removed ones are cleaned up (controller dispose() and binder
+ * unbind() hooks), batched once per animation frame. A node that is moved
+ * within the same frame is left alone.
+ *
+ * Usage:
+ *   LiveBlade.configure({ observe: true });   // before init (DOMContentLoaded)
+ *
+ *   // Or at any time, optionally for a part of the page
+ *   LiveBlade.observer.start(document.querySelector('#app'));
+ *   LiveBlade.observer.stop();
+ *
+ * Options (config):
+ *   observe  - Start observing document.body at init (default: false)
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    const nextFrame = window.requestAnimationFrame
+        ? (fn) => window.requestAnimationFrame(fn)
+        : (fn) => setTimeout(fn, 16);
+
+    const Observer = {
+        LiveBlade: null,
+        mutationObserver: null,
+        added: new Set(),
+        removed: new Set(),
+        scheduled: false,
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.observer = this;
+        },
+
+        start(root = document.body) {
+            if (!root || typeof MutationObserver === "undefined") return this;
+            this.stop();
+
+            this.mutationObserver = new MutationObserver((records) => this.collect(records));
+            this.mutationObserver.observe(root, { childList: true, subtree: true });
+            this.LiveBlade.utils.log("Observing DOM changes");
+            return this;
+        },
+
+        stop() {
+            if (!this.mutationObserver) return this;
+            this.flush();
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+            return this;
+        },
+
+        isObserving() {
+            return !!this.mutationObserver;
+        },
+
+        collect(records) {
+            records.forEach((record) => {
+                record.addedNodes.forEach((node) => {
+                    if (node.nodeType === 1) this.added.add(node);
+                });
+                record.removedNodes.forEach((node) => {
+                    if (node.nodeType === 1) this.removed.add(node);
+                });
+            });
+
+            if (!this.scheduled && (this.added.size || this.removed.size)) {
+                this.scheduled = true;
+                nextFrame(() => this.flush());
+            }
+        },
+
+        /**
+         * Process queued changes now
+         */
+        flush() {
+            if (this.mutationObserver) this.collect(this.mutationObserver.takeRecords());
+            this.scheduled = false;
+
+            const removed = Array.from(this.removed);
+            const added = Array.from(this.added);
+            this.removed.clear();
+            this.added.clear();
+
+            // Still detached at the end of the frame: really gone, not moved
+            removed
+                .filter((node) => !node.isConnected)
+                .forEach((node) => this.LiveBlade.cleanup(node));
+
+            // Nested additions are covered by their outermost added ancestor
+            const roots = new Set(added);
+            const nested = (node) => {
+                for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+                    if (roots.has(parent)) return true;
+                }
+                return false;
+            };
+            added
+                .filter((node) => node.isConnected && !nested(node))
+                .forEach((node) => this.LiveBlade.bind(node));
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("observer", Observer);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Observer;
+    }
+
+})(window, document);
@@ -0,0 +1,146 @@
+/**
+ * LiveBlade Feature: Polling
+ * Visibility-aware interval runner used by data-lb-interval
+ *
+ * Behaviour:
+ *   - Pauses while the tab is hidden, refreshes immediately when it becomes visible again
+ *   - Backs off exponentially after failed runs (config.pollBackoff, capped at config.pollMaxInterval)
+ *   - Spreads runs by ±config.pollJitter so many open tabs don't hit the server in sync
+ *
+ * Usage:
+ *   <div data-lb="/orders" data-lb-interval="30"></div>
+ *
+ *   LiveBlade.getController('#orders').pausePolling();
+ *   LiveBlade.getController('#orders').resumePolling();
+ *
+ *   // Programmatic
+ *   const poller = new LiveBlade.Poller(async () => { ... }, { interval: 5000 });
+ *   poller.start();
+ *
+ * A run fails when the task throws or resolves to false.
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    /**
+     * Poller Class
+     */
+    function Poller(task, options = {}) {
+        const config = Poller.config || {};
+
+        this.task = task;
+        this.interval = options.interval;
+        this.backoff = options.backoff ?? config.pollBackoff ?? 2;
+        this.maxInterval = options.maxInterval ?? config.pollMaxInterval ?? 300000;
+        this.jitter = options.jitter ?? config.pollJitter ?? 0.1;
+        this.whenHidden = options.whenHidden ?? config.pollWhenHidden ?? false;
+
+        this.failures = 0;
+        this.timer = null;
+        this.running = false;
+        this.paused = false;
+        this.stopped = true;
+
+        this._onVisibility = () => this.onVisibilityChange();
+    }
+
+    Poller.prototype.start = function () {
+        if (!this.stopped || !(this.interval > 0)) return this;
+        this.stopped = false;
+        document.addEventListener("visibilitychange", this._onVisibility);
+        this.schedule();
+        return this;
+    };
+
+    Poller.prototype.stop = function () {
+        this.stopped = true;
+        this.clear();
+        document.removeEventListener("visibilitychange", this._onVisibility);
+        return this;
+    };
+
+    Poller.prototype.pause = function () {
+        this.paused = true;
+        this.clear();
+        return this;
+    };
+
+    Poller.prototype.resume = function (immediate = true) {
+        if (!this.paused) return this;
+        this.paused = false;
+        if (immediate) this.run();
+        else this.schedule();
+        return this;
+    };
+
+    Poller.prototype.clear = function () {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    };
+
+    Poller.prototype.isIdle = function () {
+        return this.stopped || this.paused || (!this.whenHidden && document.hidden);
+    };
+
+    /**
+     * Delay until the next run: interval × backoff^failures, capped, ± jitter
+     */
+    Poller.prototype.nextDelay = function () {
+        const base = Math.min(this.interval * Math.pow(this.backoff, this.failures), Math.max(this.maxInterval, this.interval));
+        const spread = base * this.jitter;
+        return Math.max(0, Math.round(base - spread + Math.random() * spread * 2));
+    };
+
+    Poller.prototype.schedule = function () {
+        this.clear();
+        if (this.isIdle()) return;
+        this.timer = setTimeout(() => this.run(), this.nextDelay());
+    };
+
+    Poller.prototype.run = async function () {
+        this.clear();
+        if (this.isIdle() || this.running) return;
+
+        this.running = true;
+        try {
+            const result = await this.task();
+            this.failures = result === false ? this.failures + 1 : 0;
+        } catch {
+            this.failures++;
+        } finally {
+            this.running = false;
+        }
+
+        this.schedule();
+    };
+
+    Poller.prototype.onVisibilityChange = function () {
+        if (this.whenHidden) return;
+        if (document.hidden) this.clear();
+        else this.run();
+    };
+
+    /**
+     * Feature registration
+     */
+    const PollingFeature = {
+        init(LiveBlade) {
+            Poller.config = LiveBlade.config;
+            LiveBlade.Poller = Poller;
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("polling", PollingFeature);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = { Poller, PollingFeature };
+    }
+
+})(window, document);
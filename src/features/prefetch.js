@@ -0,0 +1,240 @@
+/**
+ * LiveBlade Feature: Prefetch
+ * Fetches container responses before the click so navigation feels instant
+ *
+ * Usage:
+ *   <!-- Nav links and data-lb-fetch buttons -->
+ *   <a href="/orders?status=open" data-lb-nav data-lb-target="#orders" data-lb-prefetch>Open</a>
+ *   <button data-lb-button data-lb-fetch="/orders?page=2" data-lb-target="#orders" data-lb-prefetch="focus">Next</button>
+ *
+ *   <!-- Pagination: every link inside the element -->
+ *   <nav data-lb-pagination data-lb-target="#orders" data-lb-prefetch>{{ $orders->links() }}</nav>
+ *
+ *   <!-- As soon as the pagination scrolls into view: its rel="next" link -->
+ *   <nav data-lb-pagination data-lb-target="#orders" data-lb-prefetch="visible">...</nav>
+ *
+ * Options (data attributes):
+ *   data-lb-prefetch        - hover (default, also on keyboard focus), focus or visible
+ *   data-lb-prefetch-delay  - Hover delay in ms (default: config.prefetchDelay)
+ *
+ * Options (config):
+ *   prefetchDelay  - Hover delay before fetching (default: 100)
+ *   prefetchTTL    - How long a prefetched response is used without a new request (default: 30000)
+ *
+ * The next load of that URL renders the prefetched response without a request
+ * and waits for one still in flight. With cache.js it also warms the response
+ * cache. Hover prefetches are cancelled when the pointer leaves first.
+ * Nothing is prefetched with Save-Data or on 2G connections, and every
+ * prefetch counts against the rate limiter. Requests carry an
+ * X-LiveBlade-Prefetch header so the server can tell them apart. A prefetch
+ * answered with 401, 419 or any other error is dropped silently: no re-login
+ * or session-expired dialog, the real load deals with it.
+ */
+
+;(function (window) {
+    "use strict";
+
+    const SLOW_CONNECTIONS = ["slow-2g", "2g"];
+
+    const Prefetch = {
+        LiveBlade: null,
+        responses: new Map(),
+        pending: new Map(),
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.prefetch = this;
+        },
+
+        /**
+         * Save-Data or a slow connection: don't spend bandwidth on guesses
+         */
+        isConstrained() {
+            const connection = navigator.connection;
+            return !!connection && (connection.saveData || SLOW_CONNECTIONS.includes(connection.effectiveType));
+        },
+
+        /**
+         * Normalize a link URL the way controllers build theirs (the cache key)
+         */
+        normalize(url) {
+            const { parseUrl, buildUrl } = this.LiveBlade.utils;
+            const parsed = parseUrl(url);
+            return buildUrl(parsed.path, parsed.params, parsed.hash);
+        },
+
+        prune() {
+            const ttl = this.LiveBlade.config.prefetchTTL;
+            const now = Date.now();
+            this.responses.forEach((entry, url) => {
+                if (now - entry.time > ttl) this.responses.delete(url);
+            });
+        },
+
+        /**
+         * Start a prefetch for url; returns the pending entry (or null when skipped)
+         */
+        fetch(url) {
+            const LiveBlade = this.LiveBlade;
+            const { sameOrigin, log } = LiveBlade.utils;
+
+            if (!url || !sameOrigin(url) || this.isConstrained()) return null;
+            url = this.normalize(url);
+
+            this.prune();
+            if (this.pending.has(url)) return this.pending.get(url);
+            if (this.responses.has(url)) return null;
+            if (LiveBlade.rateLimiter && !LiveBlade.rateLimiter.canRequest(url)) return null;
+
+            const abortController = new AbortController();
+            const entry = { url, claimed: false, abortController, promise: null };
+
+            const init = {
+                method: "GET",
+                headers: {
+                    "X-Requested-With": "XMLHttpRequest",
+                    "X-LiveBlade": "true",
+                    "X-LiveBlade-Prefetch": "true",
+                    "Accept": "application/json, text/html",
+                    "X-CSRF-TOKEN": LiveBlade.getCsrf()
+                },
+                credentials: "same-origin",
+                signal: abortController.signal
+            };
+            const scheduler = LiveBlade.scheduler;
+
+            log("Prefetching:", url);
+            entry.promise = (scheduler
+                ? scheduler.fetch(url, init, { priority: scheduler.PRIORITY.prefetch })
+                : LiveBlade.http.fetch(url, init)
+            ).then(async (response) => {
+                // http.js leaves 401/419 alone for prefetches; the real load handles them
+                if (!response.ok || response.redirected) return null;
+
+                const contentType = response.headers.get("content-type") || "";
+                const data = contentType.includes("application/json")
+                    ? await response.json()
+                    : { html: await response.text(), has_more: false };
+
+                this.responses.set(url, { data, time: Date.now() });
+                LiveBlade.cache?.set(url, data);
+                LiveBlade.emit("prefetch:done", { url });
+                return data;
+            }).catch(() => null).finally(() => {
+                if (this.pending.get(url) === entry) this.pending.delete(url);
+            });
+
+            this.pending.set(url, entry);
+            return entry;
+        },
+
+        /**
+         * Drop a prefetch nobody is waiting for yet
+         */
+        cancel(url) {
+            if (!url) return;
+            const entry = this.pending.get(this.normalize(url));
+            if (!entry || entry.claimed) return;
+            entry.abortController.abort();
+            this.pending.delete(entry.url);
+        },
+
+        /**
+         * Prefetched response data for url (consumed), a promise while it is
+         * still in flight, or null
+         */
+        take(url) {
+            const entry = this.responses.get(url);
+            this.responses.delete(url);
+            if (entry && Date.now() - entry.time <= this.LiveBlade.config.prefetchTTL) return entry.data;
+
+            const pending = this.pending.get(url);
+            if (!pending) return null;
+
+            pending.claimed = true;
+            return pending.promise.then((data) => {
+                this.responses.delete(url);
+                return data;
+            });
+        }
+    };
+
+    /**
+     * Prefetch Binder
+     */
+    const PrefetchBinder = {
+        selector: "[data-lb-prefetch]",
+
+        bind(el, LiveBlade) {
+            const mode = el.getAttribute("data-lb-prefetch") || "hover";
+            const delay = parseInt(el.getAttribute("data-lb-prefetch-delay"), 10);
+            const hoverDelay = delay >= 0 ? delay : LiveBlade.config.prefetchDelay;
+
+            // Links inside a pagination wrapper, or the element itself
+            const single = el.matches("a[href], [data-lb-fetch]");
+            const linkFrom = (node) => single ? el : node?.closest?.("a[href]");
+            const urlOf = (link) => link?.getAttribute("data-lb-fetch") || link?.getAttribute("href");
+
+            const start = (link) => {
+                const url = urlOf(link);
+                if (!url || url === "#" || link.classList.contains("disabled")) return;
+
+                // Only worth it when the click would load something else
+                const ctrl = LiveBlade.resolve(el);
+                if (!ctrl || ctrl.getUrl() === Prefetch.normalize(url)) return;
+
+                Prefetch.fetch(url);
+            };
+
+            if (mode === "visible") {
+                if (!("IntersectionObserver" in window)) return;
+                const observer = new IntersectionObserver((entries) => {
+                    if (!entries.some((entry) => entry.isIntersecting)) return;
+                    observer.disconnect();
+                    start(single ? el : el.querySelector('a[rel="next"]'));
+                });
+                observer.observe(el);
+                return;
+            }
+
+            el.addEventListener("focusin", (e) => {
+                const link = linkFrom(e.target);
+                if (link && el.contains(link)) start(link);
+            });
+
+            if (mode !== "hover") return;
+
+            let timer = null;
+            let hovered = null;
+
+            el.addEventListener("pointerover", (e) => {
+                const link = linkFrom(e.target);
+                if (!link || link === hovered || !el.contains(link)) return;
+
+                clearTimeout(timer);
+                hovered = link;
+                timer = setTimeout(() => start(link), hoverDelay);
+            });
+
+            el.addEventListener("pointerout", (e) => {
+                if (!hovered || hovered.contains(e.relatedTarget)) return;
+
+                clearTimeout(timer);
+                Prefetch.cancel(urlOf(hovered));
+                hovered = null;
+            });
+        }
+    };
+
+    // Register
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("prefetch", Prefetch);
+        window.LiveBlade.registerBinder("prefetch", PrefetchBinder);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = { Prefetch, PrefetchBinder };
+    }
+
+})(window);
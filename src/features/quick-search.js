@@ -153,12 +153,16 @@
             wrapper.appendChild(this.target);
         }
 
-        // Event listeners
-        this.input.addEventListener('input', this._onInput.bind(this));
-        this.input.addEventListener('keydown', this._onKeydown.bind(this));
-        this.input.addEventListener('focus', this._onFocus.bind(this));
-        this.input.addEventListener('blur', this._onBlur.bind(this));
-        this.target.addEventListener('mousedown', this._onResultClick.bind(this));
+        // Event listeners (kept for destroy())
+        this._handlers = {
+            input: this._onInput.bind(this),
+            keydown: this._onKeydown.bind(this),
+            focus: this._onFocus.bind(this),
+            blur: this._onBlur.bind(this)
+        };
+        Object.entries(this._handlers).forEach(([type, handler]) => this.input.addEventListener(type, handler));
+        this._clickHandler = this._onResultClick.bind(this);
+        this.target.addEventListener('mousedown', this._clickHandler);
 
         // Close on scroll (unless user opts out)
         if (this.input.dataset.lbCloseOnScroll !== 'false') {
@@ -265,7 +269,7 @@
         this.input.classList.add('lb-qs-loading');
 
         try {
-            const response = await fetch(url.toString(), {
+            const init = {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -274,9 +278,11 @@
                 },
                 credentials: 'same-origin',
                 signal: this.abortController.signal
-            });
+            };
+            const retry = this.LiveBlade.retry;
+            const response = await (retry ? retry.fetch(url.toString(), init, { el: this.input }) : this.LiveBlade.http.fetch(url.toString(), init));
 
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            if (!response.ok) throw this.LiveBlade.utils.httpError(response);
 
             const data = await response.json();
             this.items = Array.isArray(data) ? data : (data.data ?? data.results ?? data.items ?? []);
@@ -393,6 +399,28 @@
         this.items = [];
     };
 
+    /**
+     * Remove listeners and stop pending work (the input left the page)
+     */
+    QuickSearchController.prototype.destroy = function () {
+        clearTimeout(this.debounceTimer);
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
+        if (this._scrollHandler) {
+            window.removeEventListener('scroll', this._scrollHandler);
+            this._scrollHandler = null;
+        }
+        if (this._handlers) {
+            Object.entries(this._handlers).forEach(([type, handler]) => this.input.removeEventListener(type, handler));
+            this.target.removeEventListener('mousedown', this._clickHandler);
+            this._handlers = null;
+            this._hideResults();
+        }
+    };
+
     /**
      * Feature registration
      */
@@ -411,6 +439,11 @@
         bind(el, LiveBlade) {
             if (el._lbQuickSearch) return;
             el._lbQuickSearch = new QuickSearchController(el, LiveBlade);
+        },
+
+        unbind(el) {
+            el._lbQuickSearch?.destroy();
+            delete el._lbQuickSearch;
         }
     };
 
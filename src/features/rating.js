@@ -29,6 +29,9 @@
  *   data-lb-half      - Allow half-star ratings
  *   data-lb-size      - Size: "sm", "md", "lg" (default: "md")
  *
+ * Server Response (optional):
+ *   { "success": true, "action": { "type": "refresh", "target": "#product-rating" } }
+ *
  * Events:
  *   lb:rating:change  - When rating changes (before POST)
  *   lb:rating:success - After successful POST
@@ -219,7 +222,7 @@
             const body = {};
             body[this.paramName] = value;
 
-            const response = await fetch(this.url, {
+            const response = await this.LiveBlade.http.fetch(this.url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -231,16 +234,22 @@
                 body: JSON.stringify(body)
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+            const data = await response.json().catch(() => ({}));
 
-            const data = await response.json();
+            if (!response.ok || data.success === false) {
+                throw new Error(data.error || data.message || `HTTP ${response.status}`);
+            }
 
             // Success
             this.container.classList.remove('lb-rating-loading');
             this.container.classList.add('lb-rating-success');
 
+            // Run server action (e.g. refresh the average rating)
+            if ((data.action || data.actions) && this.LiveBlade.actions) {
+                await this.LiveBlade.actions.handle(data, { el: this.container })
+                    .catch((err) => console.error('Rating action failed:', err));
+            }
+
             this.container.dispatchEvent(new CustomEvent('lb:rating:success', {
                 detail: { element: this.container, value, data },
                 bubbles: true
@@ -0,0 +1,176 @@
+/**
+ * LiveBlade Feature: Retry Policy
+ * Decides which failed requests are retried, and when
+ *
+ * Defaults:
+ *   - Network errors, container timeouts (config.requestTimeout, retry.timeout) and
+ *     HTTP 408, 425, 429, 500, 502, 503 and 504 are retried; other 4xx are not
+ *   - Up to config.maxRetries attempts, starting at config.retryDelay and growing
+ *     by retry.backoff per attempt, capped at retry.maxDelay, ± retry.jitter
+ *   - Retry-After (seconds or an HTTP date) on 429/503 replaces the computed delay;
+ *     when it exceeds retry.maxDelay the request is not retried at all
+ *   - Only GET/HEAD requests are retried
+ *
+ * Usage:
+ *   LiveBlade.configure({
+ *       maxRetries: 4,
+ *       retryDelay: 1000,
+ *       retry: { statuses: [429, 503], backoff: 3, maxDelay: 20000, jitter: 0.2, retryAfter: true }
+ *   });
+ *
+ *   // Show a countdown
+ *   document.addEventListener('lb:retry', (e) => {
+ *       e.target.dataset.status = `Retrying in ${Math.round(e.detail.delay / 1000)}s…`;
+ *   });
+ *
+ *   // In custom code
+ *   const response = await LiveBlade.retry.fetch('/api/stats', { headers }, { el });
+ *
+ * Events:
+ *   lb:retry - On the element, before waiting: { url, attempt, maxRetries, delay, retryAt, error }
+ */
+
+;(function (window) {
+    "use strict";
+
+    const DEFAULTS = {
+        statuses: [408, 425, 429, 500, 502, 503, 504],
+        network: true,
+        timeout: true,
+        methods: ["GET", "HEAD"],
+        backoff: 2,
+        maxDelay: 30000,
+        jitter: 0.2,
+        retryAfter: true
+    };
+
+    // Statuses whose Retry-After means "come back then"; on others it is ignored
+    const RETRY_AFTER_STATUSES = [429, 503];
+
+    function abortError() {
+        return new DOMException("The request was aborted.", "AbortError");
+    }
+
+    /**
+     * Resolve after ms, or reject when signal aborts first
+     */
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(abortError());
+            const timer = setTimeout(() => {
+                signal?.removeEventListener("abort", onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            signal?.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    const Retry = {
+        LiveBlade: null,
+        DEFAULTS,
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.retry = this;
+        },
+
+        /**
+         * Effective policy: config.retry over the defaults, plus maxRetries/retryDelay
+         */
+        policy(overrides = {}) {
+            const config = this.LiveBlade.config;
+            return {
+                retries: config.maxRetries,
+                delay: config.retryDelay,
+                ...DEFAULTS,
+                ...config.retry,
+                ...overrides
+            };
+        },
+
+        isRetryable(err, policy = this.policy()) {
+            if (!err || err.name === "AbortError") return false;
+            if (err.status) return policy.statuses.includes(err.status);
+
+            // Container requests that ran past config.requestTimeout
+            if (err.name === "TimeoutError") return !!policy.timeout;
+
+            // fetch() rejects with a TypeError when the network fails
+            return !!policy.network && err.name === "TypeError";
+        },
+
+        /**
+         * Delay before retry number `attempt` (1-based), or null when it should not be retried
+         */
+        delayFor(err, attempt, policy = this.policy()) {
+            if (attempt > policy.retries || !this.isRetryable(err, policy)) return null;
+
+            if (policy.retryAfter && err.retryAfter != null && RETRY_AFTER_STATUSES.includes(err.status)) {
+                return err.retryAfter <= policy.maxDelay ? err.retryAfter : null;
+            }
+
+            const base = Math.min(policy.delay * Math.pow(policy.backoff, attempt - 1), policy.maxDelay);
+            const spread = base * policy.jitter;
+            return Math.max(0, Math.round(base - spread + Math.random() * spread * 2));
+        },
+
+        /**
+         * Announce an upcoming retry (lb:retry on el, "retry" on LiveBlade)
+         */
+        notify(el, { url, attempt, delay, error, policy = this.policy() }) {
+            const detail = { url, attempt, maxRetries: policy.retries, delay, retryAt: Date.now() + delay, error };
+            el?.dispatchEvent(new CustomEvent("lb:retry", { detail, bubbles: true }));
+            this.LiveBlade.emit("retry", { el, ...detail });
+        },
+
+        /**
+         * fetch() with retries
+         * Resolves with the final response (which may still be an error response)
+         * and rejects with the last network error once retries are exhausted
+         */
+        async fetch(url, init = {}, { el = null, policy: overrides, send } = {}) {
+            const policy = this.policy(overrides);
+            const request = send || ((u, i) => this.LiveBlade.http.fetch(u, i));
+            const retryable = policy.methods.includes((init.method || "GET").toUpperCase());
+
+            for (let attempt = 1; ; attempt++) {
+                let response = null;
+                let error;
+
+                try {
+                    response = await request(url, init);
+                    if (response.ok || !retryable) return response;
+                    error = this.LiveBlade.utils.httpError(response);
+                } catch (err) {
+                    if (!retryable) throw err;
+                    error = err;
+                }
+
+                const delay = this.delayFor(error, attempt, policy);
+                if (delay === null) {
+                    if (response) return response;
+                    throw error;
+                }
+
+                this.LiveBlade.utils.log(`Retrying ${url} in ${delay}ms (attempt ${attempt}/${policy.retries})`);
+                this.notify(el, { url, attempt, delay, error, policy });
+                await wait(delay, init.signal);
+            }
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("retry", Retry);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Retry;
+    }
+
+})(window);
@@ -0,0 +1,196 @@
+/**
+ * LiveBlade Feature: Request Scheduler
+ * Coordinates GET requests across all controllers on the page
+ *
+ * Behaviour:
+ *   - Identical GETs already in flight share one request (same URL and headers)
+ *   - At most config.maxConcurrentRequests requests run at once, the rest wait in a queue;
+ *     a request waiting for a re-login (auth.js) or a fresh CSRF token does not count
+ *   - Waiting requests start by priority: visible containers first, prefetches last
+ *   - Aborting a caller's signal only detaches that caller; the request itself is
+ *     aborted (or leaves the queue) once nobody is waiting for it anymore
+ *
+ * Per container, data-lb-sync decides what a new load does while one is running:
+ *   <div data-lb="/orders" data-lb-sync="replace"></div>  <!-- abort the running request (default) -->
+ *   <div data-lb="/orders" data-lb-sync="drop"></div>     <!-- ignore the new load -->
+ *   <div data-lb="/orders" data-lb-sync="queue"></div>    <!-- run the latest one afterwards -->
+ *
+ * Options (config):
+ *   maxConcurrentRequests  - Parallel requests (default: 6)
+ *   sync                   - Default data-lb-sync policy (default: "replace")
+ *
+ * Programmatic:
+ *   const response = await LiveBlade.scheduler.fetch('/orders', { headers }, { priority: 1 });
+ */
+
+;(function (window) {
+    "use strict";
+
+    const PRIORITY = { prefetch: -1, hidden: 0, visible: 1 };
+
+    function abortError() {
+        return new DOMException("The request was aborted.", "AbortError");
+    }
+
+    const Scheduler = {
+        LiveBlade: null,
+        PRIORITY,
+        active: 0,
+        queue: [],
+        inflight: new Map(),
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.scheduler = this;
+        },
+
+        /**
+         * Priority for requests made on behalf of an element
+         */
+        priorityOf(el) {
+            if (!el?.isConnected) return PRIORITY.hidden;
+            const rect = el.getBoundingClientRect();
+            const visible = rect.bottom > 0 && rect.right > 0 &&
+                rect.top < window.innerHeight && rect.left < window.innerWidth;
+            return visible ? PRIORITY.visible : PRIORITY.hidden;
+        },
+
+        /**
+         * fetch() through the scheduler; resolves with a Response of its own
+         */
+        fetch(url, init = {}, { priority = PRIORITY.hidden } = {}) {
+            const { signal, ...request } = init;
+            const method = (request.method || "GET").toUpperCase();
+            // Plain objects and Headers instances alike; Headers iterate sorted and lower-cased
+            const headers = Object.fromEntries(new Headers(request.headers || {}));
+            const key = method === "GET" ? url + "\n" + JSON.stringify(headers) : null;
+
+            let job = key ? this.inflight.get(key) : null;
+            if (job) {
+                this.LiveBlade.utils.log("Sharing in-flight request:", url);
+                if (!job.started && priority > job.priority) {
+                    job.priority = priority;
+                    this.queue.splice(this.queue.indexOf(job), 1);
+                    this.enqueue(job);
+                }
+            } else {
+                job = { key, url, request, priority, waiters: 0, started: false, settled: false, controller: new AbortController() };
+                job.promise = new Promise((resolve, reject) => {
+                    job.resolve = resolve;
+                    job.reject = reject;
+                });
+                if (key) this.inflight.set(key, job);
+                this.enqueue(job);
+            }
+
+            return this.attach(job, signal);
+        },
+
+        enqueue(job) {
+            // Highest priority first, first come first served within a priority
+            const index = this.queue.findIndex((queued) => queued.priority < job.priority);
+            if (index === -1) this.queue.push(job);
+            else this.queue.splice(index, 0, job);
+            this.pump();
+        },
+
+        pump() {
+            const max = this.LiveBlade.config.maxConcurrentRequests;
+            while (this.queue.length && (!(max > 0) || this.active < max)) {
+                this.start(this.queue.shift());
+            }
+        },
+
+        start(job) {
+            job.started = true;
+            this.active++;
+
+            const http = this.LiveBlade.http;
+            const init = { ...job.request, signal: job.controller.signal };
+
+            let freed = false;
+            const free = () => {
+                if (freed) return;
+                freed = true;
+                this.active--;
+                this.pump();
+            };
+
+            // The slot is only taken while the request is on the wire: a request
+            // held for a re-login (auth.js) or a 419 token refresh frees it
+            http.send(job.url, init)
+                .then((response) => {
+                    free();
+                    return http.recover(job.url, init, response);
+                })
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    job.settled = true;
+                    free();
+                    this.forget(job);
+                });
+        },
+
+        attach(job, signal) {
+            job.waiters++;
+
+            return new Promise((resolve, reject) => {
+                let done = false;
+
+                const onAbort = () => {
+                    if (done) return;
+                    done = true;
+                    reject(abortError());
+                    this.release(job);
+                };
+
+                if (signal?.aborted) return onAbort();
+                signal?.addEventListener("abort", onAbort, { once: true });
+
+                job.promise.then((response) => {
+                    if (done) return;
+                    done = true;
+                    job.waiters--;
+                    signal?.removeEventListener("abort", onAbort);
+                    resolve(response.clone());
+                }, (err) => {
+                    if (done) return;
+                    done = true;
+                    job.waiters--;
+                    signal?.removeEventListener("abort", onAbort);
+                    reject(err);
+                });
+            });
+        },
+
+        /**
+         * A caller gave up; drop the request when it was the last one waiting
+         */
+        release(job) {
+            if (--job.waiters > 0 || job.settled) return;
+
+            this.forget(job);
+            if (job.started) {
+                job.controller.abort();
+            } else {
+                this.queue.splice(this.queue.indexOf(job), 1);
+                job.reject(abortError());
+            }
+        },
+
+        forget(job) {
+            if (job.key && this.inflight.get(job.key) === job) this.inflight.delete(job.key);
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("scheduler", Scheduler);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Scheduler;
+    }
+
+})(window);
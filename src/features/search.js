@@ -30,6 +30,15 @@
                     doSearch();
                 }
             });
+        },
+
+        sync(el, LiveBlade) {
+            const ctrl = LiveBlade.resolve(el);
+            if (!ctrl || el === document.activeElement) return;
+
+            // Without the param, back to the value the input was rendered with
+            const value = ctrl.params[el.name || "search"] ?? el.defaultValue;
+            if (el.value !== value) el.value = value;
         }
     };
 
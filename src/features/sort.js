@@ -49,6 +49,20 @@
             // Make sortable and accessible
             el.style.cursor = "pointer";
             if (!el.getAttribute("tabindex")) el.setAttribute("tabindex", "0");
+        },
+
+        sync(el, LiveBlade) {
+            const ctrl = LiveBlade.resolve(el);
+            // No sort param: keep the indicator the header was rendered with
+            if (!ctrl || ctrl.params.sort === undefined) return;
+
+            const active = ctrl.params.sort === el.dataset.lbSort;
+            const desc = ctrl.params.dir === "desc";
+
+            el.classList.toggle("lb-sort-asc", active && !desc);
+            el.classList.toggle("lb-sort-desc", active && desc);
+            if (active) el.setAttribute("aria-sort", desc ? "descending" : "ascending");
+            else el.removeAttribute("aria-sort");
         }
     };
 
@@ -0,0 +1,212 @@
+/**
+ * LiveBlade Feature: Server-Sent Events
+ * Keeps containers live over an EventSource instead of polling
+ *
+ * Usage:
+ *   <!-- Refresh on every "message" event -->
+ *   <tbody id="orders" data-lb="/orders" data-lb-sse="/stream/orders"></tbody>
+ *
+ *   <!-- Only react to named events -->
+ *   <div data-lb="/orders/summary"
+ *        data-lb-sse="/stream/orders"
+ *        data-lb-sse-event="OrderCreated, OrderUpdated"></div>
+ *
+ * Event payloads (event data, JSON or plain text):
+ *   { "html": "...", "swap": "morph" }              - Swap html into the container
+ *   { "oob": [{ "target": "#count", "html": "3" }] } - Out-of-band updates only
+ *   { "target": "#orders" }                         - Only containers matching the selector react
+ *   anything else                                   - Background refresh of the container
+ *
+ * Containers listening to the same URL share one EventSource. While the
+ * browser reconnects on its own, it sends the standard Last-Event-ID header.
+ * Once it gives up, LiveBlade opens a new EventSource with backoff; a new
+ * EventSource cannot send that header, so the last seen id goes along as
+ * ?lastEventId= instead. Read both on the server:
+ *   $lastId = $request->header('Last-Event-ID', $request->query('lastEventId'));
+ *
+ * Develop against examples/sse-server.js (npm run sse) without Laravel.
+ *
+ * Programmatic:
+ *   const unsubscribe = LiveBlade.sse.subscribe('/stream/orders', 'OrderCreated', (payload, event) => { ... });
+ *   unsubscribe();
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    function parsePayload(data) {
+        if (typeof data !== "string" || !data) return {};
+        try {
+            const parsed = JSON.parse(data);
+            return parsed && typeof parsed === "object" ? parsed : { data: parsed };
+        } catch {
+            return { data };
+        }
+    }
+
+    function parseEvents(value) {
+        const names = (value || "").split(",").map((name) => name.trim()).filter(Boolean);
+        return names.length ? names : ["message"];
+    }
+
+    const SSE = {
+        LiveBlade: null,
+        connections: new Map(),
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.sse = this;
+        },
+
+        /**
+         * Listen to an event on a (shared) stream
+         * Returns an unsubscribe function
+         */
+        subscribe(url, event, handler) {
+            const { sameOrigin, warn } = this.LiveBlade.utils;
+
+            if (typeof EventSource === "undefined") {
+                warn("EventSource not supported, data-lb-sse disabled");
+                return () => {};
+            }
+            if (!url || !sameOrigin(url)) return () => {};
+
+            const conn = this.connection(url);
+            const name = event || "message";
+
+            if (!conn.handlers.has(name)) {
+                conn.handlers.set(name, new Set());
+                if (conn.source) this.listen(conn, name);
+            }
+            conn.handlers.get(name).add(handler);
+
+            if (!conn.source && !conn.timer) this.open(conn);
+
+            return () => {
+                const handlers = conn.handlers.get(name);
+                if (!handlers?.delete(handler)) return;
+                if (handlers.size === 0) conn.handlers.delete(name);
+                if (conn.handlers.size === 0) this.close(url);
+            };
+        },
+
+        connection(url) {
+            let conn = this.connections.get(url);
+            if (!conn) {
+                conn = { url, source: null, handlers: new Map(), lastEventId: null, attempts: 0, timer: null };
+                this.connections.set(url, conn);
+            }
+            return conn;
+        },
+
+        open(conn) {
+            const { log } = this.LiveBlade.utils;
+            let url = conn.url;
+
+            if (conn.lastEventId) {
+                const u = new URL(url, window.location.href);
+                u.searchParams.set("lastEventId", conn.lastEventId);
+                url = u.pathname + u.search;
+            }
+
+            log("SSE connecting:", url);
+            conn.source = new EventSource(url);
+            conn.handlers.forEach((_, name) => this.listen(conn, name));
+
+            conn.source.addEventListener("open", () => {
+                conn.attempts = 0;
+                this.LiveBlade.emit("sse:open", { url: conn.url });
+            });
+
+            conn.source.addEventListener("error", () => {
+                // The browser retries on its own unless the stream was closed for good
+                if (conn.source.readyState !== EventSource.CLOSED) return;
+                this.LiveBlade.emit("sse:error", { url: conn.url, attempts: conn.attempts });
+                this.reconnect(conn);
+            });
+        },
+
+        listen(conn, name) {
+            conn.source.addEventListener(name, (e) => {
+                if (e.lastEventId) conn.lastEventId = e.lastEventId;
+
+                const payload = parsePayload(e.data);
+                conn.handlers.get(name)?.forEach((handler) => {
+                    try {
+                        handler(payload, e);
+                    } catch (err) {
+                        this.LiveBlade.utils.error("SSE handler failed:", err);
+                    }
+                });
+            });
+        },
+
+        reconnect(conn) {
+            const config = this.LiveBlade.config;
+            conn.source?.close();
+            conn.source = null;
+
+            const delay = Math.min(config.sseReconnectDelay * Math.pow(2, conn.attempts), config.sseMaxReconnectDelay);
+            conn.attempts++;
+
+            conn.timer = setTimeout(() => {
+                conn.timer = null;
+                if (this.connections.get(conn.url) === conn) this.open(conn);
+            }, delay);
+        },
+
+        close(url) {
+            const conn = this.connections.get(url);
+            if (!conn) return;
+
+            if (conn.timer) clearTimeout(conn.timer);
+            conn.source?.close();
+            this.connections.delete(url);
+        }
+    };
+
+    /**
+     * SSE Binder
+     * Connects data-lb-sse containers to their stream
+     */
+    const SSEBinder = {
+        selector: "[data-lb-sse]",
+
+        bind(el, LiveBlade) {
+            const ctrl = LiveBlade.controllers.get(el) || LiveBlade.resolve(el);
+            if (!ctrl || ctrl._lbSse) return;
+
+            const url = el.getAttribute("data-lb-sse");
+            const unsubscribers = parseEvents(el.getAttribute("data-lb-sse-event")).map((name) =>
+                SSE.subscribe(url, name, (payload) => {
+                    if (payload.target) {
+                        // The selector comes from the server; an invalid one only skips this update
+                        let matches = false;
+                        try {
+                            matches = ctrl.el.matches(payload.target);
+                        } catch {
+                            LiveBlade.utils.warn("Invalid SSE update target:", payload.target);
+                        }
+                        if (!matches) return;
+                    }
+                    ctrl.applyUpdate(payload).catch((err) => LiveBlade.utils.error("SSE update failed:", err));
+                })
+            );
+
+            ctrl._lbSse = true;
+            ctrl.onDispose(() => unsubscribers.forEach((unsubscribe) => unsubscribe()));
+        }
+    };
+
+    // Register
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("sse", SSE);
+        window.LiveBlade.registerBinder("sse", SSEBinder);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = { SSE, SSEBinder };
+    }
+
+})(window, document);
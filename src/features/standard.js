@@ -10,7 +10,18 @@
 
 // Infrastructure features
 // @include ../features/rate-limiter.js
+// @include ../features/http.js
+// @include ../features/auth.js
+// @include ../features/scheduler.js
+// @include ../features/batch.js
+// @include ../features/retry.js
 // @include ../features/state.js
+// @include ../features/polling.js
+// @include ../features/cache.js
+// @include ../features/morph.js
+// @include ../features/transitions.js
+// @include ../features/actions.js
+// @include ../features/observer.js
 // @include ../features/html-controller.js
 
 // Standard binders
@@ -20,9 +31,13 @@
 // @include ../features/filter.js
 // @include ../features/sort.js
 // @include ../features/button.js
+// @include ../features/infinite.js
 // @include ../features/toggle.js
 // @include ../features/data.js
+// @include ../features/sse.js
+// @include ../features/broadcast.js
 // @include ../features/pagination.js
+// @include ../features/prefetch.js
 
 // Note: This file is for documentation purposes.
 // The actual bundle is created by concatenating these files.
@@ -0,0 +1,361 @@
+/**
+ * LiveBlade Feature: Testing
+ * A mock server and a settle() helper for running LiveBlade pages in jsdom
+ *
+ * Not part of liveblade.js: load dist/liveblade.testing.js after it in tests.
+ *
+ * Usage:
+ *   const server = LiveBlade.testing.mockServer({ latency: 20 });
+ *
+ *   // LiveBlade's JSON envelope, plain HTML, or a function of the request
+ *   server.get('/orders', { json: { html: '<tr><td>#1</td></tr>', has_more: false } });
+ *   server.get('/orders/:id', (req) => ({ html: `<p>Order ${req.params.id}</p>` }));
+ *   server.post('/orders/:id/approve', { status: 422, json: { errors: { note: ['Required'] } } });
+ *   server.get(/\/search\?q=/, { json: [], delay: 300 });
+ *
+ *   document.body.innerHTML = '<div id="orders" data-lb="/orders"></div>';
+ *   LiveBlade.bind();
+ *   await LiveBlade.testing.settle();
+ *
+ *   server.assertCalled('GET', '/orders', 1);
+ *   server.assertNotCalled('POST', '/orders/:id/approve');
+ *   server.lastRequest('GET', '/orders').headers['x-liveblade'];  // "true"
+ *
+ *   server.restore();  // back to the previous transport
+ *
+ * Routes:
+ *   String patterns match the path (":name" captures a segment, "*" anything);
+ *   with a "?" they match path and query exactly. RegExps are tested against
+ *   path + query, functions get the request. Routes added later win, so a test
+ *   can override a shared default. "*" as method (server.any) matches all.
+ *
+ * Responses:
+ *   { status, headers, json | html | text, delay } - status defaults to 200
+ *   "<p>string</p>"                                - HTML
+ *   Response                                        - sent as is (cloned per request)
+ *   function (req) returning any of the above, possibly async
+ *
+ * Options (mockServer):
+ *   latency      - Delay in ms before every response, or [min, max] (default: 0)
+ *   onUnhandled  - "warn" (404 and a warning, default), "error" (reject) or "ignore" (404)
+ *
+ * settle() resolves once no request is in flight or queued, no container is
+ * loading and no swap transition or animation is running. Pending DOM
+ * observer changes (observer.js) are processed first. It rejects after
+ * { timeout } ms (default: 2000). Debounced inputs only start loading after
+ * config.debounce; configure debounce: 0 in tests.
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    function abortError() {
+        return new DOMException("The request was aborted.", "AbortError");
+    }
+
+    /**
+     * Resolve after ms, or reject when signal aborts first
+     */
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(abortError());
+            const timer = setTimeout(() => {
+                signal?.removeEventListener("abort", onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            signal?.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    function escapeRegExp(str) {
+        return str.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    }
+
+    /**
+     * Compile a route pattern into (req) => params | null
+     */
+    function compile(pattern) {
+        if (typeof pattern === "function") return (req) => (pattern(req) ? {} : null);
+        // Tests often run in another realm than the page (jsdom), so no instanceof
+        if (Object.prototype.toString.call(pattern) === "[object RegExp]") return (req) => (pattern.test(req.path + req.search) ? {} : null);
+
+        const withQuery = pattern.includes("?");
+        const names = [];
+        const source = escapeRegExp(pattern)
+            .replace(/\*/g, ".*")
+            .replace(/:(\w+)/g, (_, name) => {
+                names.push(name);
+                return "([^/?#]+)";
+            });
+        const regex = new RegExp("^" + source + "$");
+
+        return (req) => {
+            const match = regex.exec(withQuery ? req.path + req.search : req.path);
+            if (!match) return null;
+            const params = {};
+            names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+            return params;
+        };
+    }
+
+    function readBody(body) {
+        if (body == null) return null;
+        if (body instanceof FormData || body instanceof URLSearchParams) return Object.fromEntries(body.entries());
+        if (typeof body === "string") {
+            try {
+                return JSON.parse(body);
+            } catch {
+                return body;
+            }
+        }
+        return body;
+    }
+
+    function toResponse(spec) {
+        if (typeof spec?.clone === "function") return spec.clone();
+        if (typeof spec === "string") spec = { html: spec };
+
+        const { status = 200, headers = {}, json, html, text } = spec || {};
+        let body = null;
+        let type = null;
+
+        if (json !== undefined) {
+            body = JSON.stringify(json);
+            type = "application/json";
+        } else if (html !== undefined) {
+            body = String(html);
+            type = "text/html; charset=UTF-8";
+        } else if (text !== undefined) {
+            body = String(text);
+            type = "text/plain; charset=UTF-8";
+        }
+
+        const responseHeaders = new Headers(headers);
+        if (type && !responseHeaders.has("Content-Type")) responseHeaders.set("Content-Type", type);
+
+        // Null-body statuses must not carry one
+        if (status === 204 || status === 304) body = null;
+        return new Response(body, { status, headers: responseHeaders });
+    }
+
+    /**
+     * ============================================================
+     * MOCK SERVER
+     * ============================================================
+     */
+    function MockServer(LiveBlade, options = {}) {
+        this.LiveBlade = LiveBlade;
+        this.latency = options.latency || 0;
+        this.onUnhandled = options.onUnhandled || "warn";
+        this.routes = [];
+        this.requests = [];
+        this.unhandled = [];
+        this.previousTransport = LiveBlade.config.transport;
+        this.fetch = this.fetch.bind(this);
+
+        LiveBlade.configure({ transport: this.fetch });
+    }
+
+    /**
+     * Register a route; later routes take precedence
+     */
+    MockServer.prototype.on = function (method, pattern, handler) {
+        this.routes.unshift({ method: method.toUpperCase(), pattern, match: compile(pattern), handler });
+        return this;
+    };
+
+    ["get", "post", "put", "patch", "delete"].forEach((method) => {
+        MockServer.prototype[method] = function (pattern, handler) {
+            return this.on(method, pattern, handler);
+        };
+    });
+
+    MockServer.prototype.any = function (pattern, handler) {
+        return this.on("*", pattern, handler);
+    };
+
+    /**
+     * The transport: answers a fetch(url, init) call from the routes
+     */
+    MockServer.prototype.fetch = async function (url, init = {}) {
+        const parsed = new URL(url, window.location.href);
+        const req = {
+            method: (init.method || "GET").toUpperCase(),
+            url: parsed.href,
+            path: parsed.pathname,
+            search: parsed.search,
+            query: Object.fromEntries(parsed.searchParams.entries()),
+            headers: Object.fromEntries(new Headers(init.headers || {}).entries()),
+            body: readBody(init.body),
+            params: {},
+            time: Date.now()
+        };
+        this.requests.push(req);
+
+        let route = null;
+        for (const candidate of this.routes) {
+            if (candidate.method !== "*" && candidate.method !== req.method) continue;
+            const params = candidate.match(req);
+            if (params) {
+                route = candidate;
+                req.params = params;
+                break;
+            }
+        }
+
+        if (!route) {
+            this.unhandled.push(req);
+            const message = `LiveBlade mock server: no route for ${req.method} ${req.path}${req.search}`;
+            if (this.onUnhandled === "error") throw new Error(message);
+            if (this.onUnhandled === "warn") console.warn(message);
+            await wait(this.delay(), init.signal);
+            return toResponse({ status: 404, text: "Not Found" });
+        }
+
+        const spec = typeof route.handler === "function" ? await route.handler(req) : route.handler;
+        await wait(spec?.delay ?? this.delay(), init.signal);
+        return toResponse(spec);
+    };
+
+    MockServer.prototype.delay = function () {
+        if (Array.isArray(this.latency)) {
+            const [min, max] = this.latency;
+            return min + Math.random() * (max - min);
+        }
+        return this.latency;
+    };
+
+    /**
+     * Recorded requests for a method ("*" for all) and route pattern
+     */
+    MockServer.prototype.requestsTo = function (method, pattern) {
+        const match = compile(pattern);
+        const wanted = method.toUpperCase();
+        return this.requests.filter((req) => (wanted === "*" || req.method === wanted) && match(req));
+    };
+
+    MockServer.prototype.lastRequest = function (method = "*", pattern = "*") {
+        const matching = this.requestsTo(method, pattern);
+        return matching[matching.length - 1] || null;
+    };
+
+    /**
+     * Throw unless the route was requested (exactly `times` times, when given)
+     */
+    MockServer.prototype.assertCalled = function (method, pattern, times) {
+        const count = this.requestsTo(method, pattern).length;
+        if (times == null ? count === 0 : count !== times) {
+            const seen = this.requests.map((req) => `  ${req.method} ${req.path}${req.search}`).join("\n") || "  (none)";
+            throw new Error(
+                `Expected ${method.toUpperCase()} ${pattern} to be requested ${times == null ? "at least once" : times + " time(s)"}, ` +
+                `but it was requested ${count} time(s). Requests:\n${seen}`
+            );
+        }
+        return this;
+    };
+
+    MockServer.prototype.assertNotCalled = function (method, pattern) {
+        return this.assertCalled(method, pattern, 0);
+    };
+
+    /**
+     * Forget recorded requests (and routes, with { routes: true })
+     */
+    MockServer.prototype.reset = function ({ routes = false } = {}) {
+        this.requests = [];
+        this.unhandled = [];
+        if (routes) this.routes = [];
+        return this;
+    };
+
+    /**
+     * Uninstall: the transport goes back to what it was before mockServer()
+     */
+    MockServer.prototype.restore = function () {
+        if (this.LiveBlade.config.transport === this.fetch) {
+            this.LiveBlade.configure({ transport: this.previousTransport });
+        }
+    };
+
+    /**
+     * ============================================================
+     * TESTING HELPERS
+     * ============================================================
+     */
+    const Testing = {
+        LiveBlade: null,
+        MockServer,
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.testing = this;
+        },
+
+        /**
+         * Create a mock server and install it as config.transport
+         */
+        mockServer(options) {
+            return new MockServer(this.LiveBlade, options);
+        },
+
+        /**
+         * Promises LiveBlade is still waiting on
+         */
+        busy() {
+            const LiveBlade = this.LiveBlade;
+            const animations = document.getAnimations?.() || [];
+
+            return [
+                ...(LiveBlade.http?.pending || []),
+                ...(LiveBlade.scheduler?.queue || []).map((job) => job.promise),
+                ...Array.from(LiveBlade.instances, (ctrl) => ctrl._request).filter(Boolean),
+                ...(LiveBlade.transitions?.pending || []),
+                ...animations
+                    .filter((animation) => animation.playState === "running" && animation.effect?.getTiming?.().iterations !== Infinity)
+                    .map((animation) => animation.finished)
+            ];
+        },
+
+        /**
+         * Resolve once all loads, requests and animations are done
+         */
+        async settle({ timeout = 2000 } = {}) {
+            const deadline = Date.now() + timeout;
+
+            for (;;) {
+                // Let timers and listeners that start new work run first
+                await nextTask();
+                if (this.LiveBlade.observer?.isObserving()) this.LiveBlade.observer.flush();
+                const busy = this.busy();
+                if (!busy.length) return;
+
+                const left = deadline - Date.now();
+                if (left <= 0) throw new Error(`LiveBlade.testing.settle(): still busy after ${timeout}ms`);
+
+                let timer;
+                await Promise.race([
+                    Promise.allSettled(busy),
+                    new Promise((resolve) => { timer = setTimeout(resolve, left); })
+                ]);
+                clearTimeout(timer);
+            }
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("testing", Testing);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = { Testing, MockServer };
+    }
+
+})(window, document);
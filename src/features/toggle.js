@@ -30,7 +30,7 @@
                 el.disabled = true;
 
                 try {
-                    const response = await fetch(url, {
+                    const response = await LiveBlade.http.fetch(url, {
                         method: el.dataset.lbMethod || "POST",
                         headers: {
                             "X-Requested-With": "XMLHttpRequest",
@@ -42,7 +42,11 @@
                         credentials: "same-origin"
                     });
 
-                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    const data = await response.json().catch(() => ({}));
+
+                    if (!response.ok || data.success === false) {
+                        throw new Error(data.error || data.message || `HTTP ${response.status}`);
+                    }
 
                     el.disabled = false;
 
@@ -52,11 +56,16 @@
                         setTimeout(() => wrapper.classList.remove("lb-success"), config.successDuration);
                     }
 
-                    // Refresh container if configured
-                    const ctrl = LiveBlade.resolve(el);
-                    if (ctrl && el.dataset.lbRefresh !== "false") ctrl.refresh();
+                    // Server action takes priority over refreshing the container
+                    if ((data.action || data.actions) && LiveBlade.actions) {
+                        // Awaited so toggle:success follows the steps; a failing step must not revert the toggle
+                        await LiveBlade.actions.handle(data, { el }).catch((err) => error("Toggle action failed:", err));
+                    } else {
+                        const ctrl = LiveBlade.resolve(el);
+                        if (ctrl && el.dataset.lbRefresh !== "false") ctrl.refresh();
+                    }
 
-                    LiveBlade.emit("toggle:success", { el, checked: el.checked });
+                    LiveBlade.emit("toggle:success", { el, checked: el.checked, data });
 
                 } catch (err) {
                     // Revert on error
@@ -0,0 +1,107 @@
+/**
+ * LiveBlade Feature: Swap Transitions
+ * Opt-in animations around container updates
+ *
+ * Usage:
+ *   <!-- Per container -->
+ *   <div data-lb="/orders" data-lb-transition></div>
+ *
+ *   <!-- Globally -->
+ *   LiveBlade.configure({ transition: true });
+ *
+ * Modes (config.transition / data-lb-transition):
+ *   true | "view" - document.startViewTransition when available, CSS classes otherwise
+ *   "css"         - always use the CSS classes
+ *   false         - no transition (default)
+ *
+ * CSS classes (see liveblade.css):
+ *   lb-swapping   - added before the swap, kept for config.swappingDuration ms
+ *   lb-settling   - added after the swap, kept for config.settlingDuration ms
+ *
+ * Users who prefer reduced motion always get an instant swap.
+ */
+
+;(function (window, document) {
+    "use strict";
+
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    function prefersReducedMotion() {
+        return !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    }
+
+    const Transitions = {
+        LiveBlade: null,
+        pending: new Set(),
+
+        init(LiveBlade) {
+            this.LiveBlade = LiveBlade;
+            LiveBlade.transitions = this;
+        },
+
+        /**
+         * Resolve the transition mode for an element: "view", "css" or null
+         */
+        getMode(el) {
+            let mode = el.getAttribute("data-lb-transition");
+            if (mode === null) mode = this.LiveBlade.config.transition;
+
+            if (mode === false || mode === "false" || mode == null) return null;
+            if (mode === "css") return "css";
+            return "view";
+        },
+
+        /**
+         * Run swap() inside a transition
+         * settleTarget() returns the element to settle when the swap replaced el
+         * Resolves with whatever swap() returned
+         */
+        async run(el, swap, options = {}) {
+            const mode = options.mode || this.getMode(el);
+            if (!mode || prefersReducedMotion()) return swap();
+
+            if (mode === "view" && typeof document.startViewTransition === "function") {
+                let result;
+                const transition = document.startViewTransition(() => { result = swap(); });
+                await transition.updateCallbackDone;
+                return result;
+            }
+
+            const config = this.LiveBlade.config;
+            const swapping = parseInt(config.swappingDuration, 10) || 0;
+            const settling = parseInt(config.settlingDuration, 10) || 0;
+
+            el.style.setProperty("--lb-swap-duration", swapping + "ms");
+            el.classList.remove("lb-settling");
+            el.classList.add("lb-swapping");
+            await wait(swapping);
+            el.classList.remove("lb-swapping");
+
+            const result = swap();
+
+            const target = options.settleTarget?.() || el;
+            if (!target.isConnected) return result;
+
+            target.style.setProperty("--lb-settle-duration", settling + "ms");
+            target.classList.add("lb-settling");
+            const settled = wait(settling).then(() => {
+                target.classList.remove("lb-settling");
+                this.pending.delete(settled);
+            });
+            this.pending.add(settled);
+
+            return result;
+        }
+    };
+
+    // Register feature
+    if (window.LiveBlade) {
+        window.LiveBlade.registerFeature("transitions", Transitions);
+    }
+
+    // Export for module systems
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Transitions;
+    }
+
+})(window, document);